@@ -0,0 +1,166 @@
+/**
+ * Binary Patch Module - Decodes "GIT binary patch" data produced by git diff --binary
+ */
+window.BinaryPatch = {
+    // Alphabet used by git's base85 encoding (differs from Ascii85)
+    base85Alphabet: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~',
+
+    /**
+     * Decode the base85 lines of a literal or delta block
+     * @param {Array} lines - Encoded lines, each prefixed with a length character
+     * @returns {Uint8Array} Decoded (still zlib-deflated) bytes
+     */
+    decodeBase85Lines(lines) {
+        const lookup = {};
+        for (let i = 0; i < this.base85Alphabet.length; i++) {
+            lookup[this.base85Alphabet[i]] = i;
+        }
+
+        const output = [];
+        lines.forEach(line => {
+            // First character encodes the byte count: A-Z = 1-26, a-z = 27-52
+            const lengthChar = line.charCodeAt(0);
+            const byteCount = lengthChar <= 90 ? lengthChar - 64 : lengthChar - 96 + 26;
+            const bytes = [];
+
+            for (let i = 1; i + 5 <= line.length; i += 5) {
+                let value = 0;
+                for (let j = 0; j < 5; j++) {
+                    const digit = lookup[line[i + j]];
+                    if (digit === undefined) {
+                        throw new Error('Invalid base85 character in binary patch');
+                    }
+                    value = value * 85 + digit;
+                }
+                bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+            }
+
+            output.push(...bytes.slice(0, byteCount));
+        });
+
+        return new Uint8Array(output);
+    },
+
+    /**
+     * Inflate zlib-compressed data
+     * @param {Uint8Array} data - zlib stream
+     * @returns {Promise<Uint8Array>} Inflated bytes
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('DecompressionStream not available - cannot inflate binary patch');
+        }
+
+        // 'deflate' is the zlib-wrapped format that git writes
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const buffer = await new Response(stream).arrayBuffer();
+        return new Uint8Array(buffer);
+    },
+
+    /**
+     * Decode a literal or delta block to its raw bytes
+     * @param {Object} block - Block with method, size and lines
+     * @returns {Promise<Uint8Array>} Full file content (literal) or delta instructions (delta)
+     */
+    async decodeBlock(block) {
+        return this.inflate(this.decodeBase85Lines(block.lines));
+    },
+
+    /**
+     * Read the source and target sizes from the header of a git delta
+     * @param {Uint8Array} delta - Inflated delta data
+     * @returns {Object} Sizes as { sourceSize, targetSize }
+     */
+    readDeltaSizes(delta) {
+        let offset = 0;
+        const readVarint = () => {
+            let value = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = delta[offset++];
+                value += (byte & 0x7f) * Math.pow(2, shift);
+                shift += 7;
+            } while (byte & 0x80 && offset < delta.length);
+            return value;
+        };
+
+        const sourceSize = readVarint();
+        const targetSize = readVarint();
+        return { sourceSize, targetSize };
+    },
+
+    /**
+     * Detect the image MIME type of decoded file content
+     * @param {Uint8Array} bytes - File content
+     * @param {string} fileName - File name, used for text-based formats
+     * @returns {string|null} MIME type or null when not a previewable image
+     */
+    detectImageType(bytes, fileName) {
+        const startsWith = (...signature) => signature.every((value, i) => bytes[i] === value);
+
+        if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+        if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+        if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+        if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image/webp';
+        if (startsWith(0x42, 0x4d)) return 'image/bmp';
+        if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+        if (fileName && /\.svg$/i.test(fileName)) return 'image/svg+xml';
+
+        return null;
+    },
+
+    /**
+     * Decode the old and new versions of an image from a binary patch.
+     * Only literal blocks carry full content; delta blocks need the base file.
+     * @param {Object} file - Parsed file with binary patch data
+     * @returns {Promise<Object>} { oldImage, newImage, oldSize, newSize } where images are Blobs or null
+     */
+    async decodeImages(file) {
+        const patch = file.binary && file.binary.patch;
+        const result = {
+            oldImage: null,
+            newImage: null,
+            oldSize: file.binary ? file.binary.oldSize : null,
+            newSize: file.binary ? file.binary.newSize : null
+        };
+
+        if (!patch) {
+            return result;
+        }
+
+        const decodeSide = async (block, fileName) => {
+            if (!block) return null;
+
+            const bytes = await this.decodeBlock(block);
+            if (block.method === 'delta') {
+                return { delta: this.readDeltaSizes(bytes) };
+            }
+
+            const mimeType = bytes.length > 0 ? this.detectImageType(bytes, fileName) : null;
+            return { size: bytes.length, image: mimeType ? new Blob([bytes], { type: mimeType }) : null };
+        };
+
+        // The forward block turns old into new; the reverse block turns new into old
+        const forward = await decodeSide(patch.forward, file.newPath);
+        const reverse = await decodeSide(patch.reverse, file.oldPath);
+
+        if (forward && forward.delta) {
+            result.oldSize = forward.delta.sourceSize;
+            result.newSize = forward.delta.targetSize;
+        } else if (forward) {
+            result.newSize = forward.size;
+            result.newImage = forward.image;
+        }
+
+        if (reverse && reverse.delta) {
+            result.newSize = reverse.delta.sourceSize;
+            result.oldSize = reverse.delta.targetSize;
+        } else if (reverse) {
+            result.oldSize = reverse.size;
+            result.oldImage = reverse.image;
+        }
+
+        return result;
+    }
+};
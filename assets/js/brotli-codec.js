@@ -0,0 +1,53 @@
+/**
+ * Brotli Codec Module - Brotli compression for share links, which CompressionStream
+ * does not offer (it only knows gzip and deflate)
+ *
+ * Uses the WebAssembly build of the Rust brotli crate bundled in assets/vendor/brotli-wasm
+ * (brotli-wasm 3.0.1, Apache-2.0). Its module is about 1 MB, so it is only fetched the
+ * first time a link is made or opened.
+ */
+window.BrotliCodec = {
+    modulePath: 'assets/vendor/brotli-wasm/brotli_wasm.js',
+    // Best compression: each link is compressed once, and links are limited in length
+    quality: 11,
+    loading: null, // Promise of the initialized module
+
+    /**
+     * Load and initialize the WebAssembly module
+     * @returns {Promise<Object>} Module with compress and decompress
+     */
+    load() {
+        if (!this.loading) {
+            const url = new URL(this.modulePath, document.baseURI).href;
+            this.loading = import(url).then(async module => {
+                await module.default();
+                return module;
+            });
+            // Let a later call try again, e.g. after going back online
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Compress data
+     * @param {Uint8Array} data - Data to compress
+     * @returns {Promise<Uint8Array>} Brotli stream
+     */
+    async compress(data) {
+        const brotli = await this.load();
+        return brotli.compress(data, { quality: this.quality });
+    },
+
+    /**
+     * Decompress a Brotli stream
+     * @param {Uint8Array} data - Brotli stream
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    async decompress(data) {
+        const brotli = await this.load();
+        return brotli.decompress(data);
+    }
+};
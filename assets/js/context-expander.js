@@ -0,0 +1,140 @@
+/**
+ * Context Expander Module - Fills in the unchanged lines a diff leaves out between
+ * hunks, using a full copy of the old or new file supplied locally by the user
+ */
+window.ContextExpander = {
+    // Lines revealed per click of "expand up" / "expand down"
+    expandStep: 20,
+
+    /**
+     * Split file content into lines the way the diff did
+     * @param {string} text - File content
+     * @returns {Array} Lines without line endings
+     */
+    splitLines(text) {
+        const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+        if (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    },
+
+    /**
+     * Get the lines of a hunk that exist on one side
+     * @param {Object} hunk - Parsed hunk
+     * @param {string} side - 'old' or 'new'
+     * @returns {Array} Unchanged lines plus removed (old) or added (new) lines
+     */
+    getSideLines(hunk, side) {
+        const changedType = side === 'old' ? 'removed' : 'added';
+        return hunk.lines.filter(line => line.type === 'unchanged' || line.type === changedType);
+    },
+
+    /**
+     * Get the range a hunk covers on one side, counted from its lines rather than
+     * the header so hand-edited patches with wrong counts still line up
+     * @param {Object} hunk - Parsed hunk
+     * @param {string} side - 'old' or 'new'
+     * @returns {Object} { start, end } as 1-based line numbers, end exclusive
+     */
+    getHunkRange(hunk, side) {
+        const count = this.getSideLines(hunk, side).length;
+        const headerStart = side === 'old' ? hunk.oldStart : hunk.newStart;
+
+        // A zero-length range "@@ -12,0" means after line 12
+        const start = count === 0 ? headerStart + 1 : headerStart;
+        return { start, end: start + count };
+    },
+
+    /**
+     * Work out which version of a file some content is, by checking every hunk's
+     * lines against it
+     * @param {Object} file - Parsed diff file
+     * @param {Array} lines - Candidate file content, split into lines
+     * @returns {string|null} 'new', 'old', or null when the content fits neither side
+     */
+    matchSource(file, lines) {
+        if (file.combined || file.hunks.length === 0) {
+            return null;
+        }
+
+        return ['new', 'old'].find(side => {
+            return file.hunks.every(hunk => {
+                const { start } = this.getHunkRange(hunk, side);
+                return this.getSideLines(hunk, side)
+                    .every((line, offset) => lines[start - 1 + offset] === line.content.replace(/\r$/, ''));
+            });
+        }) || null;
+    },
+
+    /**
+     * List the stretches of unchanged lines hidden before, between and after hunks
+     * @param {Object} file - Parsed diff file
+     * @param {Object} source - { side, lines } as attached by the viewer
+     * @returns {Array} Gaps { index, oldStart, newStart, size }; gap i sits before hunk i,
+     *                  the last one after the final hunk
+     */
+    getGaps(file, source) {
+        const gaps = [];
+        const sourceSide = source.side;
+
+        for (let index = 0; index <= file.hunks.length; index++) {
+            const previous = file.hunks[index - 1];
+            const next = file.hunks[index];
+
+            const oldStart = previous ? this.getHunkRange(previous, 'old').end : 1;
+            const newStart = previous ? this.getHunkRange(previous, 'new').end : 1;
+            const sourceStart = sourceSide === 'old' ? oldStart : newStart;
+            const sourceEnd = next
+                ? this.getHunkRange(next, sourceSide).start
+                : source.lines.length + 1;
+
+            gaps.push({ index, oldStart, newStart, size: Math.max(0, sourceEnd - sourceStart) });
+        }
+
+        return gaps;
+    },
+
+    /**
+     * Build unchanged lines for part of a gap
+     * @param {Object} gap - Gap from getGaps
+     * @param {Object} source - { side, lines }
+     * @param {number} from - First offset into the gap
+     * @param {number} to - Offset after the last line
+     * @returns {Array} Lines shaped like parsed 'unchanged' diff lines
+     */
+    getGapLines(gap, source, from, to) {
+        const sourceStart = source.side === 'old' ? gap.oldStart : gap.newStart;
+        const lines = [];
+
+        for (let offset = from; offset < to; offset++) {
+            lines.push({
+                type: 'unchanged',
+                content: source.lines[sourceStart - 1 + offset],
+                oldLineNumber: gap.oldStart + offset,
+                newLineNumber: gap.newStart + offset,
+                expanded: true
+            });
+        }
+
+        return lines;
+    },
+
+    /**
+     * Apply an expand action to a gap's revealed counts
+     * @param {Object} gap - Gap from getGaps
+     * @param {Object} state - { top, bottom } lines already shown from each end
+     * @param {string} direction - 'up' (above the next hunk), 'down' (below the previous hunk) or 'all'
+     * @returns {Object} New { top, bottom }
+     */
+    expand(gap, state, direction) {
+        const hidden = gap.size - state.top - state.bottom;
+        if (direction === 'all' || hidden <= this.expandStep) {
+            return { top: state.top + hidden, bottom: state.bottom };
+        }
+        if (direction === 'up') {
+            return { top: state.top, bottom: state.bottom + this.expandStep };
+        }
+        return { top: state.top + this.expandStep, bottom: state.bottom };
+    }
+};
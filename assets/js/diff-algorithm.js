@@ -0,0 +1,315 @@
+/**
+ * Diff Algorithm Module - Sequence diffing (Myers' O(ND) algorithm, linear space, and
+ * patience diff)
+ */
+window.DiffAlgorithm = {
+    /**
+     * Compute the shortest edit script between two sequences
+     * @param {Array} a - Old sequence
+     * @param {Array} b - New sequence
+     * @param {Function} equals - Optional element comparison, defaults to ===
+     * @returns {Array} Operations in order: { type: 'equal'|'delete'|'insert', oldIndex, newIndex }
+     */
+    diff(a, b, equals = (x, y) => x === y) {
+        const ops = [];
+        this.diffRange(a, 0, a.length, b, 0, b.length, equals, ops);
+        return ops;
+    },
+
+    /**
+     * Diff a[aLo..aHi) against b[bLo..bHi), appending operations to ops
+     */
+    diffRange(a, aLo, aHi, b, bLo, bHi, equals, ops) {
+        // Common prefix
+        const prefix = [];
+        while (aLo < aHi && bLo < bHi && equals(a[aLo], b[bLo])) {
+            prefix.push({ type: 'equal', oldIndex: aLo++, newIndex: bLo++ });
+        }
+
+        // Common suffix
+        const suffix = [];
+        while (aLo < aHi && bLo < bHi && equals(a[aHi - 1], b[bHi - 1])) {
+            suffix.unshift({ type: 'equal', oldIndex: --aHi, newIndex: --bHi });
+        }
+
+        ops.push(...prefix);
+
+        if (aLo === aHi) {
+            for (let j = bLo; j < bHi; j++) {
+                ops.push({ type: 'insert', oldIndex: null, newIndex: j });
+            }
+        } else if (bLo === bHi) {
+            for (let i = aLo; i < aHi; i++) {
+                ops.push({ type: 'delete', oldIndex: i, newIndex: null });
+            }
+        } else {
+            const snake = this.findMiddleSnake(a, aLo, aHi, b, bLo, bHi, equals);
+
+            // Split around the middle snake and solve both halves
+            this.diffRange(a, aLo, aLo + snake.x, b, bLo, bLo + snake.y, equals, ops);
+            for (let i = snake.x, j = snake.y; i < snake.u; i++, j++) {
+                ops.push({ type: 'equal', oldIndex: aLo + i, newIndex: bLo + j });
+            }
+            this.diffRange(a, aLo + snake.u, aHi, b, bLo + snake.v, bHi, equals, ops);
+        }
+
+        ops.push(...suffix);
+    },
+
+    /**
+     * Find the middle snake of an optimal edit path, searching forwards from the
+     * start and backwards from the end until the two paths overlap
+     * @returns {Object} Snake from (x, y) to (u, v), relative to aLo/bLo
+     */
+    findMiddleSnake(a, aLo, aHi, b, bLo, bHi, equals) {
+        const n = aHi - aLo;
+        const m = bHi - bLo;
+        const delta = n - m;
+        const odd = (delta & 1) !== 0;
+        const max = Math.ceil((n + m) / 2);
+        const offset = max + 1;
+        const forward = new Int32Array(2 * max + 3);
+        const backward = new Int32Array(2 * max + 3);
+
+        for (let d = 0; d <= max; d++) {
+            // Forward search: furthest reaching x on each diagonal k = x - y
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                    ? forward[offset + k + 1]
+                    : forward[offset + k - 1] + 1;
+                let y = x - k;
+                const startX = x;
+                const startY = y;
+
+                while (x < n && y < m && equals(a[aLo + x], b[bLo + y])) {
+                    x++;
+                    y++;
+                }
+                forward[offset + k] = x;
+
+                // The reverse path on diagonal delta - k has taken d - 1 steps
+                const reverseK = delta - k;
+                if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+                    return { x: startX, y: startY, u: x, v: y };
+                }
+            }
+
+            // Backward search, in coordinates measured from the end of both sequences
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                    ? backward[offset + k + 1]
+                    : backward[offset + k - 1] + 1;
+                let y = x - k;
+                const startX = x;
+                const startY = y;
+
+                while (x < n && y < m && equals(a[aHi - 1 - x], b[bHi - 1 - y])) {
+                    x++;
+                    y++;
+                }
+                backward[offset + k] = x;
+
+                const forwardK = delta - k;
+                if (!odd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+                    return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+                }
+            }
+        }
+
+        // Unreachable for valid input; fall back to replacing everything
+        return { x: n, y: 0, u: n, v: 0 };
+    },
+
+    /**
+     * Compute an edit script with patience diff: lines that occur exactly once in both
+     * sequences anchor the alignment, and Myers diffs the stretches between anchors.
+     * Often reads better than Myers when blocks of code move or braces repeat.
+     * @param {Array} a - Old sequence of strings
+     * @param {Array} b - New sequence of strings
+     * @returns {Array} Operations in order, as from diff()
+     */
+    patienceDiff(a, b) {
+        const ops = [];
+        this.patienceRange(a, 0, a.length, b, 0, b.length, ops);
+        return ops;
+    },
+
+    /**
+     * Patience diff a[aLo..aHi) against b[bLo..bHi), appending operations to ops
+     */
+    patienceRange(a, aLo, aHi, b, bLo, bHi, ops) {
+        const prefix = [];
+        while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+            prefix.push({ type: 'equal', oldIndex: aLo++, newIndex: bLo++ });
+        }
+
+        const suffix = [];
+        while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+            suffix.unshift({ type: 'equal', oldIndex: --aHi, newIndex: --bHi });
+        }
+
+        ops.push(...prefix);
+
+        const anchors = this.findUniqueAnchors(a, aLo, aHi, b, bLo, bHi);
+        if (anchors.length === 0) {
+            this.diffRange(a, aLo, aHi, b, bLo, bHi, (x, y) => x === y, ops);
+        } else {
+            let i = aLo;
+            let j = bLo;
+            anchors.forEach(([oldIndex, newIndex]) => {
+                this.patienceRange(a, i, oldIndex, b, j, newIndex, ops);
+                ops.push({ type: 'equal', oldIndex, newIndex });
+                i = oldIndex + 1;
+                j = newIndex + 1;
+            });
+            this.patienceRange(a, i, aHi, b, j, bHi, ops);
+        }
+
+        ops.push(...suffix);
+    },
+
+    /**
+     * Find the longest run, in order on both sides, of elements that occur exactly once
+     * in each range
+     * @returns {Array} [oldIndex, newIndex] pairs in increasing order
+     */
+    findUniqueAnchors(a, aLo, aHi, b, bLo, bHi) {
+        const counts = new Map(); // element -> { oldCount, oldIndex, newCount, newIndex }
+        for (let i = aLo; i < aHi; i++) {
+            const entry = counts.get(a[i]) || { oldCount: 0, oldIndex: -1, newCount: 0, newIndex: -1 };
+            entry.oldCount++;
+            entry.oldIndex = i;
+            counts.set(a[i], entry);
+        }
+        for (let j = bLo; j < bHi; j++) {
+            const entry = counts.get(b[j]);
+            if (entry) {
+                entry.newCount++;
+                entry.newIndex = j;
+            }
+        }
+
+        const unique = [];
+        for (let i = aLo; i < aHi; i++) {
+            const entry = counts.get(a[i]);
+            if (entry.oldCount === 1 && entry.newCount === 1) {
+                unique.push([i, entry.newIndex]);
+            }
+        }
+
+        // Longest increasing subsequence of new indices, by patience sorting
+        const tails = []; // Index into unique of the smallest tail of each pile
+        const previous = new Array(unique.length);
+        unique.forEach(([, newIndex], index) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (unique[tails[mid]][1] < newIndex) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            previous[index] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = index;
+        });
+
+        const anchors = [];
+        for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+            anchors.unshift(unique[index]);
+        }
+        return anchors;
+    },
+
+    /**
+     * Split text into tokens for intra-line diffing
+     * @param {string} text - Line content
+     * @param {string} granularity - 'word' or 'char'
+     * @returns {Array} Tokens; joined they give back the text
+     */
+    tokenize(text, granularity) {
+        if (granularity === 'char') {
+            return Array.from(text);
+        }
+        // Words, runs of whitespace, and single punctuation characters
+        return text.match(/[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu) || [];
+    },
+
+    /**
+     * Compute the changed character ranges between an old and a new line
+     * @param {string} oldText - Removed line content
+     * @param {string} newText - Added line content
+     * @param {string} granularity - 'word' or 'char'
+     * @returns {Object|null} { oldRanges, newRanges } as [start, end) pairs, or null when
+     *                        the lines are too different for highlighting to help
+     */
+    computeInlineChanges(oldText, newText, granularity) {
+        const oldTokens = this.tokenize(oldText, granularity);
+        const newTokens = this.tokenize(newText, granularity);
+
+        // Very long lines are not worth the cost; whole-line highlighting still applies
+        if (oldTokens.length + newTokens.length > 4000) {
+            return null;
+        }
+
+        const ops = this.diff(oldTokens, newTokens);
+        const oldRanges = [];
+        const newRanges = [];
+        let oldOffset = 0;
+        let newOffset = 0;
+        let equalLength = 0;
+
+        const addRange = (ranges, start, end) => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === start) {
+                last[1] = end;
+            } else {
+                ranges.push([start, end]);
+            }
+        };
+
+        ops.forEach(op => {
+            if (op.type === 'equal') {
+                const length = oldTokens[op.oldIndex].length;
+                oldOffset += length;
+                newOffset += length;
+                equalLength += length;
+            } else if (op.type === 'delete') {
+                const length = oldTokens[op.oldIndex].length;
+                addRange(oldRanges, oldOffset, oldOffset + length);
+                oldOffset += length;
+            } else {
+                const length = newTokens[op.newIndex].length;
+                addRange(newRanges, newOffset, newOffset + length);
+                newOffset += length;
+            }
+        });
+
+        // Mostly rewritten lines would be almost entirely highlighted
+        if (equalLength < Math.max(oldText.length, newText.length) * 0.4) {
+            return null;
+        }
+
+        return {
+            oldRanges: this.mergeCloseRanges(oldRanges, oldText),
+            newRanges: this.mergeCloseRanges(newRanges, newText)
+        };
+    },
+
+    /**
+     * Merge ranges separated only by whitespace so changed phrases read as one span
+     */
+    mergeCloseRanges(ranges, text) {
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && /^\s*$/.test(text.substring(last[1], range[0]))) {
+                last[1] = range[1];
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+        return merged;
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Diff Parse Worker - Parses diff input off the main thread. Uploaded files are read
+ * as a stream and parsed files are posted back in batches as they complete:
+ *   { type: 'files', files, loaded, total }  parsed files with line numbers, and progress
+ *   { type: 'done', files, commits, rawContent }  the last files; commits for a patch series
+ *   { type: 'error', message }
+ */
+self.window = self;
+importScripts('diff-parser.js');
+
+// Parsed files are batched so that huge diffs do not flood the main thread with messages
+const BATCH_INTERVAL = 200;
+// Pasted text is fed to the parser in slices of this many characters
+const TEXT_CHUNK_SIZE = 1024 * 1024;
+
+self.onmessage = async (event) => {
+    try {
+        await parseSource(event.data.source);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Parse a File/Blob or a string, posting files as they complete
+ * @param {Blob|string} source - Uploaded file or pasted diff content
+ */
+async function parseSource(source) {
+    const parser = window.DiffParser.createStreamParser();
+    const chunks = [];
+    let pending = [];
+    let lastPost = Date.now();
+
+    const total = typeof source === 'string' ? source.length : source.size;
+    let loaded = 0;
+
+    const addChunk = (chunk, size) => {
+        chunks.push(chunk);
+        loaded += size;
+        pending = pending.concat(window.DiffParser.calculateLineNumbers(parser.push(chunk)));
+
+        if (Date.now() - lastPost >= BATCH_INTERVAL) {
+            self.postMessage({ type: 'files', files: pending, loaded, total });
+            pending = [];
+            lastPost = Date.now();
+        }
+    };
+
+    if (typeof source === 'string') {
+        for (let offset = 0; offset < source.length; offset += TEXT_CHUNK_SIZE) {
+            const chunk = source.slice(offset, offset + TEXT_CHUNK_SIZE);
+            addChunk(chunk, chunk.length);
+        }
+    } else {
+        // Count progress in bytes read, since the total is the file size in bytes
+        const decoder = new TextDecoder();
+        const reader = source.stream().getReader();
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+            addChunk(decoder.decode(result.value, { stream: true }), result.value.byteLength);
+        }
+        addChunk(decoder.decode(), 0);
+    }
+
+    pending = pending.concat(window.DiffParser.calculateLineNumbers(parser.finish()));
+    // Trimmed like pasted input, so the review state of a patch does not depend on how it was loaded
+    const rawContent = chunks.join('').trim();
+
+    // A format-patch/mbox series is split into commits once the whole input is in
+    const commits = /^From \S+ .*\n[A-Za-z-]+: /m.test(rawContent)
+        ? window.DiffParser.parseSeries(rawContent)
+        : null;
+    if (commits) {
+        commits.forEach(commit => window.DiffParser.calculateLineNumbers(commit.files));
+    }
+
+    self.postMessage({ type: 'done', files: pending, commits, rawContent, loaded: total, total });
+}
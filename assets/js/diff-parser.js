@@ -12,73 +12,365 @@ window.DiffParser = {
             return [];
         }
 
-        const lines = diffContent.split('\n');
-        const files = [];
-        let currentFile = null;
-        let currentHunk = null;
-        let i = 0;
-
-        while (i < lines.length) {
-            const line = lines[i];
-
-            // File header detection
-            if (line.startsWith('diff --git')) {
-                // Save previous file if exists
-                if (currentFile) {
-                    files.push(currentFile);
-                }
+        const parser = this.createStreamParser();
+        return parser.push(diffContent).concat(parser.finish());
+    },
+
+    /**
+     * Create a parser that accepts diff content in arbitrary chunks, for input read
+     * as a stream. A file is complete once the next file header (or the end) arrives.
+     * Trailing blank lines are ignored, as they would otherwise show up as extra
+     * blank context lines.
+     * @returns {Object} Parser with push(chunk) and finish(), each returning the files
+     *                   completed by that call
+     */
+    createStreamParser() {
+        const state = {
+            files: [],
+            currentFile: null,
+            currentHunk: null,
+            currentBinaryBlock: null
+        };
+        let remainder = '';
+        let blankLines = 0;
+        let taken = 0;
 
-                // Start new file
-                currentFile = this.parseFileHeader(line);
-                currentFile.hunks = [];
-                currentHunk = null;
+        const parseLine = (line) => {
+            if (line === '') {
+                blankLines++;
+                return;
             }
-            // Index line (contains file hashes)
-            else if (line.startsWith('index ')) {
-                if (currentFile) {
-                    currentFile.index = line;
-                }
+            for (; blankLines > 0; blankLines--) {
+                this.parseLine(state, '');
             }
-            // File mode changes
-            else if (line.startsWith('new file mode') || line.startsWith('deleted file mode')) {
-                if (currentFile) {
-                    currentFile.mode = line;
+            this.parseLine(state, line);
+        };
+
+        const classifyFile = (file) => this.classifyFile(file);
+
+        const takeFiles = () => {
+            const files = state.files.slice(taken);
+            taken = state.files.length;
+            return files;
+        };
+
+        return {
+            push(chunk) {
+                const lines = (remainder + chunk).split('\n');
+                remainder = lines.pop();
+                lines.forEach(parseLine);
+                return takeFiles();
+            },
+
+            finish() {
+                if (remainder !== '') {
+                    parseLine(remainder);
+                    remainder = '';
                 }
+                if (state.currentFile) {
+                    state.files.push(classifyFile(state.currentFile));
+                    state.currentFile = null;
+                }
+                return takeFiles();
             }
-            // Old file path
-            else if (line.startsWith('--- ')) {
-                if (currentFile) {
-                    currentFile.oldPath = this.extractFilePath(line);
+        };
+    },
+
+    /**
+     * Parse one line of diff content into the parser state
+     * @param {Object} state - { files, currentFile, currentHunk, currentBinaryBlock }
+     * @param {string} line - Line without its line ending
+     */
+    parseLine(state, line) {
+        // File header detection (combined diffs of merges use --cc or --combined)
+        if (line.startsWith('diff --git') || line.startsWith('diff --cc ') || line.startsWith('diff --combined ')) {
+            // Save previous file if exists
+            if (state.currentFile) {
+                state.files.push(this.classifyFile(state.currentFile));
+            }
+
+            // Start new file
+            state.currentFile = this.parseFileHeader(line);
+            state.currentFile.hunks = [];
+            state.currentHunk = null;
+            state.currentBinaryBlock = null;
+        }
+        // Index line (contains file hashes)
+        else if (line.startsWith('index ')) {
+            if (state.currentFile) {
+                state.currentFile.index = line;
+            }
+        }
+        // File mode changes
+        else if (line.startsWith('new file mode') || line.startsWith('deleted file mode')) {
+            if (state.currentFile) {
+                state.currentFile.mode = line;
+                if (line.startsWith('new file mode')) {
+                    state.currentFile.newMode = line.substring('new file mode '.length).trim();
+                } else {
+                    state.currentFile.oldMode = line.substring('deleted file mode '.length).trim();
                 }
             }
-            // New file path
-            else if (line.startsWith('+++ ')) {
-                if (currentFile) {
-                    currentFile.newPath = this.extractFilePath(line);
+        }
+        // Permission changes on an existing file
+        else if (line.startsWith('old mode ')) {
+            if (state.currentFile) {
+                state.currentFile.oldMode = line.substring('old mode '.length).trim();
+            }
+        }
+        else if (line.startsWith('new mode ')) {
+            if (state.currentFile) {
+                state.currentFile.newMode = line.substring('new mode '.length).trim();
+            }
+        }
+        // Renames (git diff -M); "rename old/new" is the pre-1.5 spelling
+        else if (line.startsWith('rename from ') || line.startsWith('rename old ')) {
+            if (state.currentFile) {
+                state.currentFile.isRename = true;
+                state.currentFile.oldPath = this.unquotePath(line.replace(/^rename (?:from|old) /, ''));
+            }
+        }
+        else if (line.startsWith('rename to ') || line.startsWith('rename new ')) {
+            if (state.currentFile) {
+                state.currentFile.isRename = true;
+                state.currentFile.newPath = this.unquotePath(line.replace(/^rename (?:to|new) /, ''));
+            }
+        }
+        // Copies (git diff -C)
+        else if (line.startsWith('copy from ')) {
+            if (state.currentFile) {
+                state.currentFile.isCopy = true;
+                state.currentFile.oldPath = this.unquotePath(line.substring('copy from '.length));
+            }
+        }
+        else if (line.startsWith('copy to ')) {
+            if (state.currentFile) {
+                state.currentFile.isCopy = true;
+                state.currentFile.newPath = this.unquotePath(line.substring('copy to '.length));
+            }
+        }
+        // Similarity of a rename/copy, or dissimilarity of a rewrite (git diff -B)
+        else if (line.startsWith('similarity index ')) {
+            if (state.currentFile) {
+                state.currentFile.similarity = parseInt(line.substring('similarity index '.length), 10);
+            }
+        }
+        else if (line.startsWith('dissimilarity index ')) {
+            if (state.currentFile) {
+                state.currentFile.dissimilarity = parseInt(line.substring('dissimilarity index '.length), 10);
+            }
+        }
+        // Binary content without data ("Binary files a/x and b/x differ")
+        else if (line.startsWith('Binary files ') && line.endsWith(' differ')) {
+            if (state.currentFile) {
+                this.parseBinaryFilesLine(state.currentFile, line);
+            }
+        }
+        // Text files left out of a folder comparison for their size
+        else if (line.startsWith('Files ') && line.endsWith(' are too large to diff')) {
+            if (state.currentFile) {
+                this.parseTooLargeLine(state.currentFile, line);
+            }
+        }
+        // Binary content with data (git diff --binary)
+        else if (line === 'GIT binary patch') {
+            if (state.currentFile) {
+                state.currentFile.isBinary = true;
+                state.currentFile.binary = state.currentFile.binary || { oldSize: null, newSize: null, patch: null };
+                state.currentFile.binary.patch = { forward: null, reverse: null };
+            }
+        }
+        // Start of a literal/delta block; the first block is forward, the second reverse
+        else if (state.currentFile && state.currentFile.binary && state.currentFile.binary.patch && /^(literal|delta) \d+$/.test(line)) {
+            const [method, size] = line.split(' ');
+            const block = { method: method, size: parseInt(size, 10), lines: [] };
+            const patch = state.currentFile.binary.patch;
+
+            if (!patch.forward) {
+                patch.forward = block;
+                if (method === 'literal') {
+                    state.currentFile.binary.newSize = block.size;
+                }
+            } else {
+                patch.reverse = block;
+                if (method === 'literal') {
+                    state.currentFile.binary.oldSize = block.size;
                 }
             }
-            // Hunk header
-            else if (line.startsWith('@@')) {
-                currentHunk = this.parseHunkHeader(line);
-                if (currentFile) {
-                    currentFile.hunks.push(currentHunk);
+            state.currentBinaryBlock = block;
+        }
+        // Base85 data line of the current block (a blank line ends the block)
+        else if (state.currentBinaryBlock) {
+            if (/^[A-Za-z][0-9A-Za-z!#$%&()*+\-;<=>?@^_`{|}~]+$/.test(line)) {
+                state.currentBinaryBlock.lines.push(line);
+            } else {
+                state.currentBinaryBlock = null;
+            }
+        }
+        // Old file path (only before the first hunk - inside a hunk this is a removed "-- " line)
+        else if (line.startsWith('--- ') && !state.currentHunk) {
+            if (state.currentFile) {
+                state.currentFile.oldPath = this.extractFilePath(line);
+            }
+        }
+        // New file path
+        else if (line.startsWith('+++ ') && !state.currentHunk) {
+            if (state.currentFile) {
+                state.currentFile.newPath = this.extractFilePath(line);
+            }
+        }
+        // Hunk header
+        else if (line.startsWith('@@')) {
+            state.currentHunk = state.currentFile && state.currentFile.combined
+                ? this.parseCombinedHunkHeader(line)
+                : this.parseHunkHeader(line);
+            if (state.currentFile) {
+                state.currentFile.hunks.push(state.currentHunk);
+                if (state.currentHunk.combined) {
+                    state.currentFile.parentCount = state.currentHunk.parentCount;
                 }
             }
-            // Content lines
-            else if (currentHunk && (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') || line === '')) {
-                const diffLine = this.parseDiffLine(line, currentHunk.lines.length + 1);
-                currentHunk.lines.push(diffLine);
+        }
+        // "\ No newline at end of file" marks the line before it (text is localized, so match the backslash)
+        else if (state.currentHunk && line.startsWith('\\')) {
+            const previousLine = state.currentHunk.lines[state.currentHunk.lines.length - 1];
+            if (previousLine) {
+                previousLine.noNewlineAtEnd = true;
             }
+        }
+        // Content lines
+        else if (state.currentHunk && (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') || line === '')) {
+            const diffLine = state.currentHunk.combined
+                ? this.parseCombinedDiffLine(line, state.currentHunk.lines.length + 1, state.currentHunk.parentCount)
+                : this.parseDiffLine(line, state.currentHunk.lines.length + 1);
+            state.currentHunk.lines.push(diffLine);
+        }
 
-            i++;
+    },
+
+    /**
+     * Parse a patch series (git format-patch output or an mbox of several commits)
+     * @param {string} content - Raw patch series content
+     * @returns {Array|null} Array of commits, or null if the content is not a patch series
+     */
+    parseSeries(content) {
+        if (!content || typeof content !== 'string') {
+            return null;
         }
 
-        // Add last file
-        if (currentFile) {
-            files.push(currentFile);
+        const lines = content.split('\n');
+        const starts = [];
+
+        // Each message starts with an mbox "From <sha> <date>" line followed by mail headers
+        lines.forEach((line, index) => {
+            if (/^From \S+ /.test(line) && /^[A-Za-z-]+: /.test(lines[index + 1] || '')) {
+                starts.push(index);
+            }
+        });
+
+        if (starts.length === 0) {
+            return null;
         }
 
-        return files;
+        return starts.map((start, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+            return this.parseSeriesMessage(lines.slice(start, end));
+        });
+    },
+
+    /**
+     * Parse one message of a patch series
+     * @param {Array} lines - Lines from the "From <sha>" line up to the next message
+     * @returns {Object} Commit object with metadata and parsed files
+     */
+    parseSeriesMessage(lines) {
+        const commit = {
+            sha: lines[0].split(' ')[1],
+            author: '',
+            email: '',
+            date: '',
+            subject: '',
+            patchNumber: null,
+            patchTotal: null,
+            message: '',
+            files: []
+        };
+
+        // Mail headers, with folded continuation lines, end at the first blank line
+        const headers = {};
+        let lastHeader = null;
+        let i = 1;
+        for (; i < lines.length && lines[i] !== ''; i++) {
+            const header = lines[i].match(/^([A-Za-z-]+):\s?(.*)$/);
+            if (header) {
+                lastHeader = header[1].toLowerCase();
+                headers[lastHeader] = header[2];
+            } else if (lastHeader && /^\s/.test(lines[i])) {
+                headers[lastHeader] += ' ' + lines[i].trim();
+            }
+        }
+
+        const from = this.decodeMimeHeader(headers['from'] || '');
+        const fromMatch = from.match(/^\s*"?(.*?)"?\s*<([^>]*)>\s*$/);
+        commit.author = fromMatch ? fromMatch[1] : from;
+        commit.email = fromMatch ? fromMatch[2] : '';
+        commit.date = headers['date'] || '';
+
+        // "[PATCH v2 3/7] Subject" keeps its position in the series
+        const subject = this.decodeMimeHeader(headers['subject'] || '');
+        const prefix = subject.match(/^\[([^\]]*)\]\s*/);
+        const position = prefix ? prefix[1].match(/(\d+)\/(\d+)/) : null;
+        if (position) {
+            commit.patchNumber = parseInt(position[1], 10);
+            commit.patchTotal = parseInt(position[2], 10);
+        }
+        commit.subject = prefix ? subject.substring(prefix[0].length) : subject;
+
+        // The message body runs until the "---" diffstat separator or the first diff
+        const bodyStart = i + 1;
+        let diffStart = lines.findIndex((line, index) => index >= bodyStart && /^diff --(git|cc|combined) /.test(line));
+        if (diffStart === -1) {
+            diffStart = lines.length;
+        }
+        let bodyEnd = lines.findIndex((line, index) => index >= bodyStart && index < diffStart && line === '---');
+        if (bodyEnd === -1) {
+            bodyEnd = diffStart;
+        }
+        commit.message = lines.slice(bodyStart, bodyEnd).join('\n').trim();
+
+        // Drop the "-- " signature with the git version that format-patch appends
+        let diffLines = lines.slice(diffStart);
+        const signature = diffLines.lastIndexOf('-- ');
+        if (signature !== -1 && diffLines.slice(signature + 2).every(line => line.trim() === '')) {
+            diffLines = diffLines.slice(0, signature);
+        }
+
+        commit.files = this.parse(diffLines.join('\n'));
+        return commit;
+    },
+
+    /**
+     * Decode RFC 2047 encoded words (=?UTF-8?q?...?=) in a mail header
+     * @param {string} value - Raw header value
+     * @returns {string} Decoded header value
+     */
+    decodeMimeHeader(value) {
+        return value
+            .replace(/(\?=)\s+(=\?)/g, '$1$2')
+            .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+                try {
+                    let bytes;
+                    if (encoding.toUpperCase() === 'B') {
+                        bytes = Uint8Array.from(atob(text), char => char.charCodeAt(0));
+                    } else {
+                        const decoded = text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+                        bytes = Uint8Array.from(decoded, char => char.charCodeAt(0));
+                    }
+                    return new TextDecoder(charset).decode(bytes);
+                } catch (error) {
+                    return match;
+                }
+            });
     },
 
     /**
@@ -87,21 +379,163 @@ window.DiffParser = {
      * @returns {Object} File object
      */
     parseFileHeader(headerLine) {
+        const file = {
+            oldPath: '',
+            newPath: '',
+            type: 'unknown',
+            oldMode: null,
+            newMode: null,
+            isRename: false,
+            isCopy: false,
+            similarity: null,
+            dissimilarity: null,
+            isBinary: false,
+            tooLarge: false,
+            combined: false
+        };
+
+        // Combined diff of a merge commit: "diff --cc path" or "diff --combined path"
+        const combined = headerLine.match(/^diff --(?:cc|combined) (.+)$/);
+        if (combined) {
+            file.oldPath = this.unquotePath(combined[1]);
+            file.newPath = file.oldPath;
+            file.type = 'modified';
+            file.combined = true;
+            return file;
+        }
+
+        // Paths containing special characters are C-quoted: diff --git "a/x y" "b/x y"
+        const quoted = headerLine.match(/^diff --git ("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+        if (quoted && (quoted[1].startsWith('"') || quoted[2].startsWith('"'))) {
+            file.oldPath = this.unquotePath(quoted[1]).replace(/^a\//, '');
+            file.newPath = this.unquotePath(quoted[2]).replace(/^b\//, '');
+            file.type = 'modified';
+            return file;
+        }
+
         // Extract file paths from "diff --git a/path/to/file b/path/to/file"
         const match = headerLine.match(/^diff --git a\/(.+) b\/(.+)$/);
         if (match) {
-            return {
-                oldPath: match[1],
-                newPath: match[2],
-                type: 'modified'
-            };
+            file.oldPath = match[1];
+            file.newPath = match[2];
+            file.type = 'modified';
         }
 
-        return {
-            oldPath: '',
-            newPath: '',
-            type: 'unknown'
-        };
+        return file;
+    },
+
+    /**
+     * Parse a "Binary files a/x and b/x differ" line
+     * @param {Object} file - Current file object
+     * @param {string} line - The Binary files line
+     */
+    parseBinaryFilesLine(file, line) {
+        file.isBinary = true;
+        file.binary = file.binary || { oldSize: null, newSize: null, patch: null };
+
+        const match = line.match(/^Binary files (.+) and (.+) differ$/);
+        if (match) {
+            if (match[1] === '/dev/null') {
+                file.oldPath = null;
+                file.binary.oldSize = 0;
+            }
+            if (match[2] === '/dev/null') {
+                file.newPath = null;
+                file.binary.newSize = 0;
+            }
+        }
+    },
+
+    /**
+     * Parse a "Files a/x and b/x are too large to diff" line
+     * @param {Object} file - Current file object
+     * @param {string} line - The Files line
+     */
+    parseTooLargeLine(file, line) {
+        file.tooLarge = true;
+
+        const match = line.match(/^Files (.+) and (.+) are too large to diff$/);
+        if (match) {
+            if (match[1] === '/dev/null') {
+                file.oldPath = null;
+            }
+            if (match[2] === '/dev/null') {
+                file.newPath = null;
+            }
+        }
+    },
+
+    /**
+     * Work out what kind of change a parsed file represents.
+     * Types, in order of precedence: 'new', 'deleted', 'renamed', 'copied',
+     * 'binary', 'mode-changed' and 'modified'. The isRename, isCopy and
+     * isBinary flags stay set so renderers can combine them (a new binary file).
+     * @param {Object} file - File object with headers and hunks parsed
+     * @returns {Object} The same file with its type set
+     */
+    classifyFile(file) {
+        if (file.type === 'unknown' && !file.oldPath && !file.newPath) {
+            return file;
+        }
+
+        const mode = file.mode || '';
+        const index = file.index || '';
+
+        if (mode.startsWith('new file mode') || file.oldPath === null || /^index 0+\.\./.test(index)) {
+            file.type = 'new';
+        } else if (mode.startsWith('deleted file mode') || file.newPath === null || /^index \w+\.\.0+(\s|$)/.test(index)) {
+            file.type = 'deleted';
+        } else if (file.isRename) {
+            file.type = 'renamed';
+        } else if (file.isCopy) {
+            file.type = 'copied';
+        } else if (file.isBinary) {
+            file.type = 'binary';
+        } else if (file.oldMode && file.newMode && file.oldMode !== file.newMode && file.hunks.length === 0) {
+            file.type = 'mode-changed';
+        } else {
+            file.type = 'modified';
+        }
+
+        return file;
+    },
+
+    /**
+     * Decode a path that git may have C-quoted ("a/t\303\251st.txt")
+     * @param {string} path - Raw path as it appears in the diff
+     * @returns {string} Unquoted path
+     */
+    unquotePath(path) {
+        if (!path || !path.startsWith('"') || !path.endsWith('"')) {
+            return path;
+        }
+
+        const escapes = { 'n': 10, 't': 9, 'r': 13, 'a': 7, 'b': 8, 'f': 12, 'v': 11, '"': 34, '\\': 92 };
+        const bytes = [];
+        const body = path.slice(1, -1);
+
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (char !== '\\') {
+                // Non-escaped characters may still be multi-byte
+                bytes.push(...new TextEncoder().encode(char));
+                continue;
+            }
+
+            const next = body[i + 1];
+            const octal = body.substring(i + 1, i + 4);
+            if (/^[0-7]{3}$/.test(octal)) {
+                bytes.push(parseInt(octal, 8));
+                i += 3;
+            } else if (next in escapes) {
+                bytes.push(escapes[next]);
+                i += 1;
+            } else {
+                bytes.push(92);
+            }
+        }
+
+        return new TextDecoder().decode(new Uint8Array(bytes));
     },
 
     /**
@@ -111,7 +545,7 @@ window.DiffParser = {
      */
     extractFilePath(line) {
         // Remove prefix and extract path
-        const path = line.substring(4); // Remove "--- " or "+++ "
+        const path = this.unquotePath(line.substring(4)); // Remove "--- " or "+++ "
         
         // Handle special cases
         if (path === '/dev/null') {
@@ -154,6 +588,84 @@ window.DiffParser = {
         };
     },
 
+    /**
+     * Parse combined diff hunk header
+     * @param {string} hunkLine - The @@@ -a,b -c,d +e,f @@@ line (one @ more than the number of parents)
+     * @returns {Object} Hunk object with one old range per parent
+     */
+    parseCombinedHunkHeader(hunkLine) {
+        const match = hunkLine.match(/^(@{3,}) (.*?) \1(.*)$/);
+        const hunk = {
+            combined: true,
+            parentCount: 0,
+            oldRanges: [],
+            oldStart: 0,
+            oldCount: 0,
+            newStart: 0,
+            newCount: 0,
+            context: '',
+            header: hunkLine,
+            lines: []
+        };
+
+        if (!match) {
+            return hunk;
+        }
+
+        match[2].split(' ').forEach(range => {
+            const rangeMatch = range.match(/^([-+])(\d+)(?:,(\d+))?$/);
+            if (!rangeMatch) return;
+
+            const start = parseInt(rangeMatch[2], 10);
+            const count = rangeMatch[3] ? parseInt(rangeMatch[3], 10) : 1;
+            if (rangeMatch[1] === '-') {
+                hunk.oldRanges.push({ start, count });
+            } else {
+                hunk.newStart = start;
+                hunk.newCount = count;
+            }
+        });
+
+        hunk.parentCount = match[1].length - 1;
+        hunk.context = match[3].trim();
+        if (hunk.oldRanges.length > 0) {
+            hunk.oldStart = hunk.oldRanges[0].start;
+            hunk.oldCount = hunk.oldRanges[0].count;
+        }
+
+        return hunk;
+    },
+
+    /**
+     * Parse a line of a combined diff hunk. Each parent has its own prefix column:
+     * '+' means the line is in the result but not in that parent, '-' means it is
+     * in that parent but not in the result.
+     * @param {string} line - The diff line
+     * @param {number} lineNumber - Line number within hunk
+     * @param {number} parentCount - Number of prefix columns
+     * @returns {Object} Diff line object with per-parent states
+     */
+    parseCombinedDiffLine(line, lineNumber, parentCount) {
+        const parentStates = line.substring(0, parentCount).padEnd(parentCount, ' ').split('');
+        let type = 'unchanged';
+
+        if (parentStates.includes('-')) {
+            type = 'removed';
+        } else if (parentStates.includes('+')) {
+            type = 'added';
+        }
+
+        return {
+            type: type,
+            content: line.substring(parentCount),
+            parentStates: parentStates,
+            parentLineNumbers: parentStates.map(() => null),
+            oldLineNumber: null, // Line number in the first parent, calculated later
+            newLineNumber: null,
+            lineNumber: lineNumber
+        };
+    },
+
     /**
      * Parse individual diff line
      * @param {string} line - The diff line
@@ -217,6 +729,11 @@ window.DiffParser = {
      */
     calculateLineNumbers(files) {
         files.forEach(file => {
+            if (file.combined) {
+                this.calculateCombinedLineNumbers(file);
+                return;
+            }
+
             file.hunks.forEach(hunk => {
                 let oldLineNum = hunk.oldStart;
                 let newLineNum = hunk.newStart;
@@ -241,6 +758,35 @@ window.DiffParser = {
         return files;
     },
 
+    /**
+     * Calculate per-parent and result line numbers for a combined diff file
+     * @param {Object} file - Parsed combined diff file
+     */
+    calculateCombinedLineNumbers(file) {
+        file.hunks.forEach(hunk => {
+            const parentLineNums = hunk.oldRanges.map(range => range.start);
+            let newLineNum = hunk.newStart;
+
+            hunk.lines.forEach(line => {
+                const inResult = line.type !== 'removed';
+
+                // A removed line exists only in the parents marked '-'; any other line
+                // exists in every parent that does not mark it '+'
+                line.parentStates.forEach((state, parent) => {
+                    const inParent = inResult ? state !== '+' : state === '-';
+                    if (inParent && parentLineNums[parent] !== undefined) {
+                        line.parentLineNumbers[parent] = parentLineNums[parent]++;
+                    }
+                });
+
+                line.oldLineNumber = line.parentLineNumbers[0];
+                if (inResult) {
+                    line.newLineNumber = newLineNum++;
+                }
+            });
+        });
+    },
+
     /**
      * Get statistics for parsed diff
      * @param {Array} files - Parsed diff files
@@ -251,8 +797,11 @@ window.DiffParser = {
         let totalAdditions = 0;
         let totalDeletions = 0;
         let totalChanges = 0;
+        const filesByType = {};
 
         files.forEach(file => {
+            filesByType[file.type] = (filesByType[file.type] || 0) + 1;
+
             file.hunks.forEach(hunk => {
                 hunk.lines.forEach(line => {
                     switch (line.type) {
@@ -273,10 +822,147 @@ window.DiffParser = {
             files: totalFiles,
             additions: totalAdditions,
             deletions: totalDeletions,
-            changes: totalChanges
+            changes: totalChanges,
+            filesByType: filesByType
         };
     },
 
+    /**
+     * Turn parsed files back into unified diff text that git apply and this parser accept.
+     * Hunk line counts are recomputed from the lines, so files whose hunks were
+     * filtered or rebuilt still serialize to a valid patch.
+     * @param {Array} files - Parsed diff files
+     * @returns {string} Unified diff
+     */
+    serialize(files) {
+        return files.map(file => this.serializeFile(file)).join('');
+    },
+
+    /**
+     * Serialize one parsed file: git headers, then hunks or binary data
+     * @param {Object} file - Parsed diff file
+     * @returns {string} Unified diff of the file, ending with a newline
+     */
+    serializeFile(file) {
+        const oldPath = file.oldPath || file.newPath;
+        const newPath = file.newPath || file.oldPath;
+        const isNew = file.type === 'new' || file.oldPath === null;
+        const isDeleted = file.type === 'deleted' || file.newPath === null;
+        const lines = [];
+
+        if (file.combined) {
+            lines.push(`diff --cc ${this.quotePath(newPath)}`);
+        } else {
+            lines.push(`diff --git ${this.quotePath('a/' + oldPath)} ${this.quotePath('b/' + newPath)}`);
+        }
+
+        if (isNew) {
+            lines.push(`new file mode ${file.newMode || '100644'}`);
+        } else if (isDeleted) {
+            lines.push(`deleted file mode ${file.oldMode || '100644'}`);
+        } else if (file.oldMode && file.newMode && file.oldMode !== file.newMode) {
+            lines.push(`old mode ${file.oldMode}`, `new mode ${file.newMode}`);
+        }
+
+        if ((file.isRename || file.isCopy) && file.similarity !== null && file.similarity !== undefined) {
+            lines.push(`similarity index ${file.similarity}%`);
+        }
+        if (file.dissimilarity !== null && file.dissimilarity !== undefined) {
+            lines.push(`dissimilarity index ${file.dissimilarity}%`);
+        }
+        if (file.isRename || file.isCopy) {
+            const verb = file.isRename ? 'rename' : 'copy';
+            lines.push(`${verb} from ${this.quotePath(file.oldPath)}`, `${verb} to ${this.quotePath(file.newPath)}`);
+        }
+        if (file.index) {
+            lines.push(file.index);
+        }
+
+        if (file.tooLarge && file.hunks.length === 0) {
+            const from = isNew ? '/dev/null' : this.quotePath('a/' + oldPath);
+            const to = isDeleted ? '/dev/null' : this.quotePath('b/' + newPath);
+            lines.push(`Files ${from} and ${to} are too large to diff`);
+        } else if (file.isBinary && file.hunks.length === 0) {
+            const patch = file.binary && file.binary.patch;
+            if (patch && patch.forward) {
+                lines.push('GIT binary patch');
+                [patch.forward, patch.reverse].filter(Boolean).forEach(block => {
+                    lines.push(`${block.method} ${block.size}`, ...block.lines, '');
+                });
+            } else {
+                const from = isNew ? '/dev/null' : this.quotePath('a/' + oldPath);
+                const to = isDeleted ? '/dev/null' : this.quotePath('b/' + newPath);
+                lines.push(`Binary files ${from} and ${to} differ`);
+            }
+        } else if (file.hunks.length > 0) {
+            lines.push(`--- ${isNew ? '/dev/null' : this.quotePath('a/' + oldPath)}`);
+            lines.push(`+++ ${isDeleted ? '/dev/null' : this.quotePath('b/' + newPath)}`);
+
+            const prefixes = { added: '+', removed: '-', unchanged: ' ' };
+            file.hunks.forEach(hunk => {
+                lines.push(this.serializeHunkHeader(hunk));
+                hunk.lines.forEach(line => {
+                    lines.push((line.parentStates ? line.parentStates.join('') : prefixes[line.type] || ' ') + line.content);
+                    if (line.noNewlineAtEnd) {
+                        lines.push('\\ No newline at end of file');
+                    }
+                });
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Build a hunk header with line counts taken from the hunk's lines
+     * @param {Object} hunk - Parsed hunk
+     * @returns {string} "@@ -a,b +c,d @@ context", or the @@@ form for combined hunks
+     */
+    serializeHunkHeader(hunk) {
+        const context = hunk.context ? ` ${hunk.context}` : '';
+        const newCount = hunk.lines.filter(line => line.type !== 'removed').length;
+
+        if (hunk.combined) {
+            const marker = '@'.repeat(hunk.parentCount + 1);
+            const ranges = hunk.oldRanges.map((range, parent) => {
+                // Same membership rule as calculateCombinedLineNumbers
+                const count = hunk.lines.filter(line => {
+                    const state = line.parentStates[parent];
+                    return line.type !== 'removed' ? state !== '+' : state === '-';
+                }).length;
+                return `-${range.start},${count}`;
+            });
+            return `${marker} ${ranges.join(' ')} +${hunk.newStart},${newCount} ${marker}${context}`;
+        }
+
+        const oldCount = hunk.lines.filter(line => line.type !== 'added').length;
+        return `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@${context}`;
+    },
+
+    /**
+     * C-quote a path the way git does when it has special characters
+     * @param {string} path - Path to quote
+     * @returns {string} The path, quoted only if needed
+     */
+    quotePath(path) {
+        if (!/["\\\x00-\x1f\x7f-\uffff]/.test(path)) {
+            return path;
+        }
+
+        const escapes = { 10: '\\n', 9: '\\t', 13: '\\r', 7: '\\a', 8: '\\b', 12: '\\f', 11: '\\v', 34: '\\"', 92: '\\\\' };
+        let quoted = '';
+        new TextEncoder().encode(path).forEach(byte => {
+            if (escapes[byte]) {
+                quoted += escapes[byte];
+            } else if (byte < 0x20 || byte >= 0x7f) {
+                quoted += '\\' + byte.toString(8).padStart(3, '0');
+            } else {
+                quoted += String.fromCharCode(byte);
+            }
+        });
+        return `"${quoted}"`;
+    },
+
     /**
      * Detect file type from extension
      * @param {string} filename - File name
@@ -6,15 +6,50 @@ window.DiffViewer = {
     currentViewMode: 'unified',
     sidebarVisible: false,
     expandAllFiles: true, // Default to expanded
+    selectedCommit: null, // Index of the commit shown from a patch series, null for all
+    inlineDiffGranularity: 'word', // Intra-line highlighting: 'word', 'char' or 'none'
+    syntaxHighlighting: true,
+    whitespaceMode: 'none', // Whitespace changes to hide: 'none', 'all' (git -w) or 'amount' (git -b)
+    ignoreBlankLines: false, // Hide changes that only add or remove blank lines
+    binaryPreviewUrls: [], // Object URLs of decoded binary image previews
+    collapsedFiles: new Set(), // Indices of collapsed files in the displayed diff
+    virtual: null, // Row model and list elements of the windowed view, see buildVirtualRows
+    virtualUpdatePending: false,
+    rowKindHeights: {}, // Measured row heights by view mode and row kind
+    parseWorker: null, // Worker parsing the current input, see startParsing
+    maxInputLength: 2 * 1024 * 1024, // Larger uploads are not copied into the input box
+    review: null, // { hash, threads, index, viewed } review state of the current diff, see loadReviewState
+    reviewStorageWarned: false, // Whether the user was told review state cannot be saved
+    commentDraft: null, // { key, anchor, threadId, text } of the comment being written
+    inputMode: 'diff', // Input tab: 'diff', 'interdiff' (two revisions of a patch), 'texts' or 'folders'
+    folderComparison: null, // { cancelled } of the folder comparison in progress
+    search: null, // Matches of the search bar in the displayed files, see updateSearch
+    maxSearchMatches: 10000, // Searching stops after this many matches
+    searchTimer: null,
+    sidebarFiles: [], // Files listed in the sidebar, those of the displayed diff
+    sidebarSort: 'path', // Order of files within sidebar folders: 'path', 'size' or 'type'
+    sidebarFilter: { include: [], exclude: [] }, // Patterns typed in the sidebar filter, see updateSidebarFilter
+    hideFilteredFiles: false, // Also leave the files the sidebar filter hides out of the diff
+    collapsedFolders: new Set(), // Paths of collapsed folders in the sidebar tree
+    keyboardFocus: null, // { file, line } keyboard navigation is at, line null for the file header
+    lineSelection: null, // { file, side, start, end, from } lines picked by shift-clicking line numbers
+    pendingAnchor: null, // File and lines from the URL to go to once the diff has loaded
+    sharedPayload: null, // Payload of the share link the current diff was loaded from
+    shareRequest: 0, // Counts share link generations, so that stale ones are dropped
+    shareTimer: null,
+    shareSelection: new Map(), // Files picked in the share modal, mapped to the indices of their picked hunks
+    passphraseRequest: null, // Resolves the open passphrase prompt, see requestPassphrase
 
     /**
      * Initialize the diff viewer
      */
     async init() {
         this.setupEventListeners();
+        // Settings first: a shared diff may wait for its passphrase
+        this.loadSettings();
+        this.pendingAnchor = window.ShareLink.parseAnchor(window.location);
         this.loadSampleIfRequested();
         await this.loadSharedDiffIfPresent();
-        this.loadSettings();
     },
 
     /**
@@ -24,15 +59,58 @@ window.DiffViewer = {
         // Show diff button
         const showDiffBtn = document.getElementById('show-diff');
         if (showDiffBtn) {
-            showDiffBtn.addEventListener('click', () => this.processDiff());
+            showDiffBtn.addEventListener('click', () => {
+                if (this.inputMode === 'interdiff') {
+                    this.processInterdiff();
+                } else if (this.inputMode === 'texts') {
+                    this.processTextComparison();
+                } else if (this.inputMode === 'folders') {
+                    this.processFolderComparison();
+                } else {
+                    this.processDiff();
+                }
+            });
         }
 
+        // Input mode tabs
+        document.querySelectorAll('[data-input-mode]').forEach(tab => {
+            tab.addEventListener('click', () => this.setInputMode(tab.dataset.inputMode));
+        });
+
+        // Folders picked for comparison
+        ['compare-folder-old', 'compare-folder-new'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.updateFolderSummary(input));
+            }
+        });
+
+        // Files loaded into the revision and text comparison boxes
+        document.querySelectorAll('[data-load-target]').forEach(input => {
+            input.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                const target = document.getElementById(input.dataset.loadTarget);
+                if (file && target) {
+                    target.value = await this.readFileAsText(file);
+                    // Name the compared file after the upload
+                    target.dataset.fileName = file.name;
+                }
+                e.target.value = '';
+            });
+        });
+
         // Clear diff button
         const clearDiffBtn = document.getElementById('clear-diff');
         if (clearDiffBtn) {
             clearDiffBtn.addEventListener('click', () => this.clearDiff());
         }
 
+        // Cancel parsing button
+        const cancelParseBtn = document.getElementById('cancel-parse');
+        if (cancelParseBtn) {
+            cancelParseBtn.addEventListener('click', () => this.cancelParsing(true));
+        }
+
         // Load sample button
         const loadSampleBtn = document.getElementById('load-sample');
         if (loadSampleBtn) {
@@ -50,6 +128,10 @@ window.DiffViewer = {
             });
         }
 
+        // Only rows on screen are in the DOM; render more as the page scrolls
+        window.addEventListener('scroll', () => this.scheduleVirtualUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleVirtualUpdate());
+
         // File upload handling
         const fileInput = document.getElementById('diff-file-input');
         if (fileInput) {
@@ -79,6 +161,51 @@ window.DiffViewer = {
             });
         }
 
+        // Full source files for expanding context between hunks
+        const contextSourceInput = document.getElementById('context-source-input');
+        const contextSourceBtn = document.getElementById('context-source-btn');
+        if (contextSourceInput && contextSourceBtn) {
+            contextSourceBtn.addEventListener('click', () => contextSourceInput.click());
+            contextSourceInput.addEventListener('change', async (e) => {
+                await this.loadContextSourceFiles(e.target.files);
+                e.target.value = '';
+            });
+        }
+
+        const contextFolderBtn = document.getElementById('context-folder-btn');
+        if (contextFolderBtn) {
+            if (window.showDirectoryPicker) {
+                contextFolderBtn.classList.remove('hidden');
+            }
+            contextFolderBtn.addEventListener('click', () => this.pickContextFolder());
+        }
+
+        // Dropping files or a folder onto the diff supplies context sources
+        const diffOutput = document.getElementById('diff-output');
+        if (diffOutput) {
+            diffOutput.addEventListener('dragover', (e) => {
+                e.preventDefault();
+            });
+
+            diffOutput.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                // Handles must be requested before the event handler yields
+                const items = Array.from(e.dataTransfer.items || []);
+                const handlePromises = items
+                    .filter(item => item.kind === 'file' && item.getAsFileSystemHandle)
+                    .map(item => item.getAsFileSystemHandle());
+                const files = Array.from(e.dataTransfer.files || []);
+
+                const handles = (await Promise.all(handlePromises)).filter(Boolean);
+                const directory = handles.find(handle => handle.kind === 'directory');
+                if (directory) {
+                    await this.loadContextFromDirectory(directory);
+                } else if (files.length > 0) {
+                    await this.loadContextSourceFiles(files);
+                }
+            });
+        }
+
         // Copy diff button
         const copyDiffBtn = document.getElementById('copy-diff');
         if (copyDiffBtn) {
@@ -108,6 +235,57 @@ window.DiffViewer = {
             copyShareUrlBtn.addEventListener('click', () => this.copyShareUrl());
         }
 
+        // What a share link contains
+        const shareScopeSelect = document.getElementById('share-scope');
+        if (shareScopeSelect) {
+            shareScopeSelect.addEventListener('change', () => {
+                this.renderShareSelection();
+                this.updateShareLink();
+            });
+        }
+
+        // Encryption of share links
+        const shareEncryptionSelect = document.getElementById('share-encryption');
+        if (shareEncryptionSelect) {
+            shareEncryptionSelect.addEventListener('change', () => this.updateShareLink());
+        }
+
+        const sharePassphraseInput = document.getElementById('share-passphrase');
+        if (sharePassphraseInput) {
+            // Deriving the key takes a moment, so wait for a pause in typing
+            sharePassphraseInput.addEventListener('input', () => {
+                clearTimeout(this.shareTimer);
+                this.shareTimer = setTimeout(() => this.updateShareLink(), 400);
+            });
+        }
+
+        // Passphrase prompt for encrypted share links
+        const passphraseForm = document.getElementById('passphrase-form');
+        if (passphraseForm) {
+            passphraseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('passphrase-input');
+                this.finishPassphraseRequest(input ? input.value : '');
+            });
+        }
+
+        const passphraseCancelBtn = document.getElementById('passphrase-cancel');
+        if (passphraseCancelBtn) {
+            passphraseCancelBtn.addEventListener('click', () => this.finishPassphraseRequest(null));
+        }
+
+        const passphraseInput = document.getElementById('passphrase-input');
+        if (passphraseInput) {
+            passphraseInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.finishPassphraseRequest(null);
+                }
+            });
+        }
+
+        // Opening another share link or line link in the same tab only changes the fragment
+        window.addEventListener('hashchange', () => this.handleHashChange());
+
         // Close modal when clicking outside
         const shareModal = document.getElementById('share-modal');
         if (shareModal) {
@@ -142,7 +320,31 @@ window.DiffViewer = {
             });
         }
 
-        // Expand all files checkbox
+        // Review comments export menu
+        const commentsBtn = document.getElementById('comments-btn');
+        const commentsDropdown = document.getElementById('comments-dropdown');
+
+        if (commentsBtn && commentsDropdown) {
+            commentsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                commentsDropdown.classList.toggle('hidden');
+            });
+
+            document.addEventListener('click', (e) => {
+                if (!commentsDropdown.contains(e.target) && !commentsBtn.contains(e.target)) {
+                    commentsDropdown.classList.add('hidden');
+                }
+            });
+
+            commentsDropdown.querySelectorAll('[data-export-format]').forEach(button => {
+                button.addEventListener('click', () => {
+                    commentsDropdown.classList.add('hidden');
+                    this.exportComments(button.dataset.exportFormat, button.dataset.exportAction);
+                });
+            });
+        }
+
+                // Expand all files checkbox
         const expandAllCheckbox = document.getElementById('expand-all-files');
         if (expandAllCheckbox) {
             expandAllCheckbox.addEventListener('change', (e) => {
@@ -153,6 +355,154 @@ window.DiffViewer = {
                 }
             });
         }
+
+        // Syntax highlighting checkbox
+        const syntaxCheckbox = document.getElementById('syntax-highlighting');
+        if (syntaxCheckbox) {
+            syntaxCheckbox.addEventListener('change', (e) => {
+                this.syntaxHighlighting = e.target.checked;
+                this.saveSettings();
+                if (this.currentDiff) {
+                    this.renderDiff(this.currentDiff);
+                }
+            });
+        }
+
+        // Search within the diff
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.scheduleSearch());
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.stepSearchMatch(e.shiftKey ? -1 : 1);
+                } else if (e.key === 'Escape') {
+                    searchInput.value = '';
+                    this.updateSearch();
+                    searchInput.blur();
+                }
+            });
+        }
+
+        ['search-case', 'search-regex'].forEach(id => {
+            const toggle = document.getElementById(id);
+            if (toggle) {
+                toggle.addEventListener('click', () => {
+                    toggle.setAttribute('aria-pressed', toggle.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+                    this.updateSearch();
+                });
+            }
+        });
+
+        document.querySelectorAll('[data-search-type]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateSearch());
+        });
+
+        const searchFilesInput = document.getElementById('search-files');
+        if (searchFilesInput) {
+            searchFilesInput.addEventListener('input', () => this.scheduleSearch());
+        }
+
+        const searchPrevBtn = document.getElementById('search-prev');
+        if (searchPrevBtn) {
+            searchPrevBtn.addEventListener('click', () => this.stepSearchMatch(-1));
+        }
+
+        const searchNextBtn = document.getElementById('search-next');
+        if (searchNextBtn) {
+            searchNextBtn.addEventListener('click', () => this.stepSearchMatch(1));
+        }
+
+        // Collapsed files and rows off screen are not in the page, so the browser's find misses them
+        document.addEventListener('keydown', (e) => {
+            const diffOutput = document.getElementById('diff-output');
+            if (!this.currentDiff || !searchInput || !diffOutput || diffOutput.classList.contains('hidden')) return;
+
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                searchInput.focus();
+                searchInput.select();
+            } else if (e.key === 'F3') {
+                e.preventDefault();
+                this.stepSearchMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+
+        // Sidebar tree filter and order
+        const sidebarFilterInput = document.getElementById('sidebar-filter');
+        if (sidebarFilterInput) {
+            sidebarFilterInput.addEventListener('input', () => this.updateSidebarFilter());
+        }
+
+        const sidebarSortSelect = document.getElementById('sidebar-sort');
+        if (sidebarSortSelect) {
+            sidebarSortSelect.addEventListener('change', (e) => {
+                this.sidebarSort = e.target.value;
+                this.saveSettings();
+                this.renderSidebarTree();
+            });
+        }
+
+        const hideFilteredCheckbox = document.getElementById('sidebar-hide-filtered');
+        if (hideFilteredCheckbox) {
+            hideFilteredCheckbox.addEventListener('change', (e) => {
+                this.hideFilteredFiles = e.target.checked;
+                this.saveSettings();
+                this.updateHiddenFiles();
+            });
+        }
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => this.handleShortcutKey(e));
+
+        const shortcutsModal = document.getElementById('shortcuts-modal');
+        if (shortcutsModal) {
+            shortcutsModal.addEventListener('click', (e) => {
+                if (e.target === shortcutsModal) {
+                    this.toggleShortcutsModal(false);
+                }
+            });
+        }
+
+        const closeShortcutsBtn = document.getElementById('close-shortcuts-modal');
+        if (closeShortcutsBtn) {
+            closeShortcutsBtn.addEventListener('click', () => this.toggleShortcutsModal(false));
+        }
+
+        // Whitespace-ignoring modes
+        const whitespaceSelect = document.getElementById('whitespace-mode');
+        if (whitespaceSelect) {
+            whitespaceSelect.addEventListener('change', (e) => {
+                this.whitespaceMode = e.target.value;
+                this.saveSettings();
+                if (this.currentDiff) {
+                    this.renderDiff(this.currentDiff);
+                }
+            });
+        }
+
+        const blankLinesCheckbox = document.getElementById('ignore-blank-lines');
+        if (blankLinesCheckbox) {
+            blankLinesCheckbox.addEventListener('change', (e) => {
+                this.ignoreBlankLines = e.target.checked;
+                this.saveSettings();
+                if (this.currentDiff) {
+                    this.renderDiff(this.currentDiff);
+                }
+            });
+        }
+
+        // Intra-line highlighting granularity
+        const inlineDiffSelect = document.getElementById('inline-diff-granularity');
+        if (inlineDiffSelect) {
+            inlineDiffSelect.addEventListener('change', (e) => {
+                this.inlineDiffGranularity = e.target.value;
+                this.saveSettings();
+                if (this.currentDiff) {
+                    this.renderDiff(this.currentDiff);
+                }
+            });
+        }
     },
 
     /**
@@ -167,418 +517,3131 @@ window.DiffViewer = {
             return;
         }
 
-        try {
-            this.showLoadingState();
-            
-            // Parse the diff content
-            const parsedFiles = window.DiffParser.parse(diffContent);
-            const filesWithLineNumbers = window.DiffParser.calculateLineNumbers(parsedFiles);
-            
-            this.currentDiff = {
-                files: filesWithLineNumbers,
-                stats: window.DiffParser.getStats(filesWithLineNumbers),
-                rawContent: diffContent
-            };
+        this.startParsing(diffContent);
+    },
 
-            // Render the diff
-            this.renderDiff(this.currentDiff);
-            
-        } catch (error) {
-            this.showMessage('Error processing diff: ' + error.message, 'error');
-        }
+    /**
+     * Switch between the input tabs
+     * @param {string} mode - 'diff', 'interdiff', 'texts' or 'folders'
+     */
+    setInputMode(mode) {
+        this.inputMode = mode;
+
+        document.querySelectorAll('[data-input-mode]').forEach(tab => {
+            const active = tab.dataset.inputMode === mode;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active ? 'true' : 'false');
+        });
+        document.querySelectorAll('[id^="input-mode-"]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.id !== `input-mode-${mode}`);
+        });
     },
 
     /**
-     * Handle file upload
+     * Compare the two revisions of a patch in the interdiff boxes and show what changed
+     * between them
      */
-    handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.processFile(file);
+    processInterdiff() {
+        const oldInput = document.getElementById('interdiff-old');
+        const newInput = document.getElementById('interdiff-new');
+        const oldContent = oldInput ? oldInput.value.trim() : '';
+        const newContent = newInput ? newInput.value.trim() : '';
+
+        if (!oldContent || !newContent) {
+            this.showMessage('Please paste both revisions of the patch to compare.', 'warning');
+            return;
         }
+
+        const oldFiles = window.DiffParser.calculateLineNumbers(window.DiffParser.parse(oldContent));
+        const newFiles = window.DiffParser.calculateLineNumbers(window.DiffParser.parse(newContent));
+        if (oldFiles.length === 0 || newFiles.length === 0) {
+            this.showMessage(`No changes found in the ${oldFiles.length === 0 ? 'old' : 'new'} revision.`, 'error');
+            return;
+        }
+
+        const files = window.Interdiff.compare(oldFiles, newFiles);
+        const changedFiles = window.Interdiff.getChangedFiles(files);
+        if (changedFiles.length === 0) {
+            this.showMessage('The two revisions of the patch are identical.', 'info');
+            return;
+        }
+
+        // The interdiff is kept as a diff of the patch lines that changed, for copying, download and review state
+        this.cancelParsing();
+        this.setDiff(this.createDiffData(files, null, window.DiffParser.serialize(changedFiles)));
+        this.currentDiff.interdiff = true;
+        this.renderDiff(this.currentDiff);
+        this.loadReviewState(this.currentDiff);
     },
 
     /**
-     * Process uploaded file
+     * Diff the original and modified texts in the comparison boxes
      */
-    processFile(file) {
-        if (!file.type.includes('text') && !file.name.match(/\.(txt|diff|patch)$/i)) {
-            this.showMessage('Please upload a text file (.txt, .diff, .patch)', 'error');
+    processTextComparison() {
+        const original = document.getElementById('compare-original');
+        const modified = document.getElementById('compare-modified');
+        const algorithmSelect = document.getElementById('compare-algorithm');
+        if (!original || !modified) return;
+
+        if (!original.value && !modified.value) {
+            this.showMessage('Please paste or load the original and modified texts.', 'warning');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const content = e.target.result;
-            const diffInput = document.getElementById('diff-input');
-            if (diffInput) {
-                diffInput.value = content;
-                this.processDiff();
-            }
-        };
-        reader.readAsText(file);
+        const patch = window.TextDiff.createFilePatch(original.value, modified.value, {
+            oldPath: original.dataset.fileName || 'original',
+            newPath: modified.dataset.fileName || 'modified',
+            algorithm: algorithmSelect ? algorithmSelect.value : 'myers'
+        });
+
+        if (!patch) {
+            this.showMessage('The two texts are identical.', 'info');
+            return;
+        }
+
+        // Same pipeline as a pasted diff, so every view, share and download works on it
+        this.startParsing(patch);
     },
 
     /**
-     * Clear all diff content
+     * Walk the two picked folders and diff them
      */
-    clearDiff() {
-        const diffInput = document.getElementById('diff-input');
-        if (diffInput) {
-            diffInput.value = '';
+    async processFolderComparison() {
+        const oldInput = document.getElementById('compare-folder-old');
+        const newInput = document.getElementById('compare-folder-new');
+        if (!oldInput || !newInput) return;
+
+        if (oldInput.files.length === 0 || newInput.files.length === 0) {
+            this.showMessage('Please choose both the original and the modified folder.', 'warning');
+            return;
         }
 
-        const fileInput = document.getElementById('diff-file-input');
-        if (fileInput) {
-            fileInput.value = '';
+        const includeInput = document.getElementById('folder-include');
+        const excludeInput = document.getElementById('folder-exclude');
+        const skipBinaryInput = document.getElementById('folder-skip-binary');
+        const include = window.FolderCompare.parsePatterns(includeInput ? includeInput.value : '');
+        const exclude = window.FolderCompare.parsePatterns(excludeInput ? excludeInput.value : '');
+        const oldEntries = window.FolderCompare.filterEntries(window.FolderCompare.getEntries(oldInput.files), include, exclude);
+        const newEntries = window.FolderCompare.filterEntries(window.FolderCompare.getEntries(newInput.files), include, exclude);
+
+        if (oldEntries.length === 0 && newEntries.length === 0) {
+            this.showMessage('No files left to compare after applying the include and exclude patterns.', 'warning');
+            return;
         }
 
-        this.currentDiff = null;
-        this.hideDiffOutput();
-        this.showNoDiffMessage();
+        this.cancelParsing();
+        this.setDiff(null);
+        this.showLoadingState();
+        // Cancel and Clear stop the comparison through cancelParsing
+        const comparison = { cancelled: false };
+        this.folderComparison = comparison;
+
+        let result;
+        try {
+            result = await window.FolderCompare.compare(oldEntries, newEntries, {
+                skipBinary: skipBinaryInput ? skipBinaryInput.checked : true,
+                isCancelled: () => comparison.cancelled,
+                onProgress: (done, total) => {
+                    if (!comparison.cancelled) {
+                        this.showParseProgress(done, total, `Comparing folders... ${done} of ${total} files read`);
+                    }
+                },
+                onRenameProgress: (scored, total) => {
+                    if (!comparison.cancelled) {
+                        this.showParseProgress(scored, total, `Detecting renames... ${scored.toLocaleString()} of ${total.toLocaleString()} file pairs compared`);
+                    }
+                }
+            });
+        } catch (error) {
+            if (!comparison.cancelled) {
+                this.folderComparison = null;
+                this.hideParseProgress();
+                this.hideDiffOutput();
+                this.showNoDiffMessage();
+                this.showMessage('Error comparing folders: ' + error.message, 'error');
+            }
+            return;
+        }
+
+        if (comparison.cancelled) return;
+        this.folderComparison = null;
+        this.hideParseProgress();
+
+        if (!result.patch) {
+            this.hideDiffOutput();
+            this.showNoDiffMessage();
+            const skipped = result.summary.skipped > 0 ? ` (${result.summary.skipped} binary ${result.summary.skipped === 1 ? 'file' : 'files'} skipped)` : '';
+            this.showMessage(`The folders have no differences${skipped}.`, 'info');
+            return;
+        }
+
+        this.startParsing(result.patch);
     },
 
     /**
-     * Load sample diff for demonstration
+     * Show the name and file count of a picked folder
+     * @param {HTMLInputElement} input - Directory picker input
      */
-    loadSampleDiff() {
-        const sampleDiff = window.DiffParser.generateSampleDiff();
-        const diffInput = document.getElementById('diff-input');
-        if (diffInput) {
-            diffInput.value = sampleDiff;
-            this.processDiff();
+    updateFolderSummary(input) {
+        const summary = document.querySelector(`[data-folder-summary="${input.id}"]`);
+        if (!summary) return;
+
+        const files = Array.from(input.files);
+        if (files.length === 0) {
+            summary.textContent = 'No folder chosen';
+            return;
         }
+
+        const folderName = (files[0].webkitRelativePath || '').split('/')[0];
+        summary.textContent = `${folderName ? folderName + ' · ' : ''}${files.length} ${files.length === 1 ? 'file' : 'files'}`;
     },
 
     /**
-     * Load sample from URL parameter if requested
+     * Handle file upload
      */
-    loadSampleIfRequested() {
-        const urlParams = new URLSearchParams(window.location.search);
-        if (urlParams.get('sample') === 'true') {
-            this.loadSampleDiff();
+    handleFileUpload(event) {
+        const file = event.target.files[0];
+        if (file) {
+            this.processFile(file);
         }
     },
 
     /**
-     * Render the parsed diff
+     * Process uploaded file
      */
-    renderDiff(diffData) {
-        if (!diffData || !diffData.files || diffData.files.length === 0) {
-            this.showNoDiffMessage();
+    processFile(file) {
+        if (!file.type.includes('text') && !file.name.match(/\.(txt|diff|patch|mbox|eml)$/i)) {
+            this.showMessage('Please upload a text file (.txt, .diff, .patch, .mbox)', 'error');
             return;
         }
 
-        this.hideNoDiffMessage();
-        this.showDiffOutput();
+        // The worker reads the file itself, as a stream
+        this.startParsing(file);
+    },
 
-        const diffContent = document.getElementById('diff-content');
-        if (!diffContent) return;
+    /**
+     * Parse a diff in a background worker, showing files as they are parsed
+     * @param {File|string} source - Uploaded file or pasted diff content
+     */
+    startParsing(source) {
+        this.cancelParsing();
 
-        if (this.currentViewMode === 'side-by-side') {
-            diffContent.innerHTML = this.renderSideBySideView(diffData);
-        } else {
-            diffContent.innerHTML = this.renderUnifiedView(diffData);
+        let worker;
+        try {
+            worker = new Worker('assets/js/diff-parse-worker.js');
+        } catch (error) {
+            // Workers can be unavailable, e.g. when the page is opened from file://
+            this.parseOnMainThread(source);
+            return;
         }
 
-        // Update stats display
-        this.updateStatsDisplay(diffData.stats);
-
-        // Populate sidebar
-        this.populateSidebar(diffData.files);
+        this.parseWorker = worker;
+        this.setDiff({ files: [], stats: window.DiffParser.getStats([]), rawContent: '', commits: null });
+        this.virtual = null;
+        this.showLoadingState();
+        this.showParseProgress(0, typeof source === 'string' ? source.length : source.size);
 
-        // Auto-show sidebar if there are multiple files
-        if (diffData.files.length > 1 && !this.sidebarVisible) {
-            this.toggleSidebar();
-        }
+        worker.onmessage = (event) => {
+            if (worker === this.parseWorker) {
+                this.handleParseMessage(event.data, source);
+            }
+        };
+        worker.onerror = (event) => {
+            // The worker script could not be loaded or crashed; parse here instead
+            event.preventDefault();
+            if (worker === this.parseWorker) {
+                this.cancelParsing();
+                this.parseOnMainThread(source);
+            }
+        };
+        worker.postMessage({ source });
     },
 
     /**
-     * Render unified diff view
+     * Handle a message from the parse worker, see diff-parse-worker.js
+     * @param {Object} message - Worker message
+     * @param {File|string} source - Input being parsed
      */
-    renderUnifiedView(diffData) {
-        let html = '';
+    handleParseMessage(message, source) {
+        if (message.type === 'error') {
+            this.cancelParsing();
+            this.showMessage('Error processing diff: ' + message.message, 'error');
+            return;
+        }
 
-        diffData.files.forEach((file, index) => {
-            const stats = this.getFileStats(file);
-            const fileName = file.newPath || file.oldPath || 'Unknown file';
-            const isCollapsed = !this.expandAllFiles;
-            
-            // Add anchor for navigation
-            html += `<div class="unified-file-container diff-file-anchor" id="file-${index}">`;
-            
-            // Collapsible header
-            html += `<div class="file-collapse-header" onclick="window.DiffViewer.toggleFileCollapse(${index})">`;
-            html += `<div class="file-collapse-toggle">`;
-            html += `<svg class="file-collapse-icon ${isCollapsed ? 'collapsed' : ''}" id="collapse-icon-${index}" fill="none" stroke="currentColor" viewBox="0 0 24 24">`;
-            html += `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/>`;
-            html += `</svg>`;
-            html += `<span class="mr-2">${this.getFileTypeIcon(window.DiffParser.getFileType(fileName))}</span>`;
-            html += `<span>${this.escapeHtml(fileName)}</span>`;
+        this.appendParsedFiles(message.files);
+        this.showParseProgress(message.loaded, message.total);
+
+        if (message.type !== 'done') return;
+
+        this.stopParseWorker();
+        this.hideParseProgress();
+
+        // Keep uploads in the input box unless they are too big to edit comfortably
+        const diffInput = document.getElementById('diff-input');
+        if (diffInput && typeof source !== 'string') {
+            diffInput.value = message.rawContent.length <= this.maxInputLength ? message.rawContent : '';
+        }
+
+        if (message.commits) {
+            this.setDiff(this.createDiffData(null, message.commits, message.rawContent));
+            this.renderDiff(this.currentDiff);
+        } else {
+            this.currentDiff.rawContent = message.rawContent;
+            this.currentDiff.stats = window.DiffParser.getStats(this.currentDiff.files);
+            if (this.currentDiff.files.length === 0) {
+                this.hideDiffOutput();
+                this.renderDiff(this.currentDiff);
+            } else {
+                this.updateStatsDisplay(this.currentDiff.stats);
+            }
+        }
+
+        this.loadReviewState();
+    },
+
+    /**
+     * Add files that arrived from the parse worker to the current diff and the view
+     * @param {Array} files - Parsed files with line numbers
+     */
+    appendParsedFiles(files) {
+        if (files.length === 0) return;
+
+        const diff = this.currentDiff;
+        const firstIndex = diff.files.length;
+        this.applyWhitespaceMode(files);
+        files.forEach(file => diff.files.push(file));
+
+        if (!this.virtual) {
+            this.renderDiff(diff);
+            return;
+        }
+
+        if (!this.expandAllFiles) {
+            files.forEach((file, offset) => this.collapsedFiles.add(firstIndex + offset));
+        }
+        this.appendVirtualRows(firstIndex);
+        if (this.search) {
+            this.updateSearch();
+        }
+        this.updateVirtualWindow(false);
+        this.loadBinaryPreviews(files);
+        this.renderSidebarTree();
+        this.updateViewedDisplay();
+
+        if (firstIndex === 1 && !this.sidebarVisible) {
+            this.toggleSidebar();
+        }
+    },
+
+    /**
+     * Parse a diff on the main thread, for when the worker is unavailable
+     * @param {File|string} source - Uploaded file or pasted diff content
+     */
+    async parseOnMainThread(source) {
+        try {
+            this.showLoadingState();
+
+            // Trimmed like in the worker and the input box, so that the same patch keeps
+            // its review state however it is loaded
+            const diffContent = (typeof source === 'string' ? source : await this.readFileAsText(source)).trim();
+            if (typeof source !== 'string') {
+                const diffInput = document.getElementById('diff-input');
+                if (diffInput) {
+                    diffInput.value = diffContent.length <= this.maxInputLength ? diffContent : '';
+                }
+            }
+
+            // Parse the diff content, keeping commits apart for format-patch/mbox input
+            const commits = window.DiffParser.parseSeries(diffContent);
+            let files = null;
+
+            if (commits) {
+                commits.forEach(commit => window.DiffParser.calculateLineNumbers(commit.files));
+            } else {
+                files = window.DiffParser.calculateLineNumbers(window.DiffParser.parse(diffContent));
+            }
+
+            this.setDiff(this.createDiffData(files, commits, diffContent));
+            this.renderDiff(this.currentDiff);
+            this.loadReviewState();
+        } catch (error) {
+            this.showMessage('Error processing diff: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Read a whole file as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} File content
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    },
+
+    /**
+     * Build the current diff object from parsed files or patch series commits
+     * @param {Array|null} files - Parsed files with line numbers (ignored for a series)
+     * @param {Array|null} commits - Commits of a patch series, or null
+     * @param {string} rawContent - Raw diff content
+     * @returns {Object} { files, stats, rawContent, commits }
+     */
+    createDiffData(files, commits, rawContent) {
+        if (commits) {
+            commits.forEach((commit, commitIndex) => {
+                commit.files.forEach(file => {
+                    file.commitIndex = commitIndex;
+                });
+                commit.stats = window.DiffParser.getStats(commit.files);
+            });
+            files = commits.flatMap(commit => commit.files);
+        }
+
+        return {
+            files,
+            stats: window.DiffParser.getStats(files),
+            rawContent,
+            commits
+        };
+    },
+
+    /**
+     * Replace the current diff, releasing what belonged to the previous one
+     */
+    setDiff(diffData) {
+        this.releaseBinaryPreviews();
+        this.currentDiff = diffData;
+        this.selectedCommit = null;
+        this.review = null;
+        this.commentDraft = null;
+        this.search = null;
+        this.collapsedFolders.clear();
+        this.keyboardFocus = null;
+        this.lineSelection = null;
+        this.shareSelection.clear();
+        this.updateCommentCount();
+        this.updateSearchCount();
+    },
+
+    /**
+     * Stop parsing or a folder comparison in progress and drop the partly parsed diff
+     * @param {boolean} notify - Tell the user parsing was cancelled
+     */
+    cancelParsing(notify = false) {
+        if (!this.parseWorker && !this.folderComparison) return;
+
+        if (this.folderComparison) {
+            this.folderComparison.cancelled = true;
+            this.folderComparison = null;
+        }
+        this.stopParseWorker();
+        this.hideParseProgress();
+        this.setDiff(null);
+        this.virtual = null;
+        this.hideDiffOutput();
+        this.showNoDiffMessage();
+
+        if (notify) {
+            this.showMessage('Parsing cancelled.', 'info');
+        }
+    },
+
+    /**
+     * Terminate the parse worker
+     */
+    stopParseWorker() {
+        if (this.parseWorker) {
+            this.parseWorker.terminate();
+            this.parseWorker = null;
+        }
+    },
+
+    /**
+     * Show parsing progress above the diff
+     * @param {number} loaded - Bytes (or characters of pasted text) read so far
+     * @param {number} total - Size of the input
+     * @param {string|null} label - Text to show instead of the parsing status
+     */
+    showParseProgress(loaded, total, label = null) {
+        const progress = document.getElementById('parse-progress');
+        const bar = document.getElementById('parse-progress-bar');
+        const text = document.getElementById('parse-progress-text');
+        if (!progress) return;
+
+        const percent = total > 0 ? Math.min(100, Math.round(loaded / total * 100)) : 0;
+        const fileCount = this.currentDiff ? this.currentDiff.files.length : 0;
+
+        progress.classList.remove('hidden');
+        if (bar) {
+            bar.style.width = `${percent}%`;
+        }
+        if (text) {
+            text.textContent = label || `Parsing diff... ${percent}% (${fileCount} file${fileCount !== 1 ? 's' : ''} so far)`;
+        }
+    },
+
+    /**
+     * Hide the parsing progress indicator
+     */
+    hideParseProgress() {
+        const progress = document.getElementById('parse-progress');
+        if (progress) {
+            progress.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Clear all diff content
+     */
+    clearDiff() {
+        const diffInput = document.getElementById('diff-input');
+        if (diffInput) {
+            diffInput.value = '';
+        }
+
+        const fileInput = document.getElementById('diff-file-input');
+        if (fileInput) {
+            fileInput.value = '';
+        }
+
+        ['interdiff-old', 'interdiff-new', 'compare-original', 'compare-modified', 'compare-folder-old', 'compare-folder-new'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+                delete input.dataset.fileName;
+            }
+        });
+        document.querySelectorAll('[data-folder-summary]').forEach(summary => {
+            summary.textContent = 'No folder chosen';
+        });
+
+        this.cancelParsing();
+        this.setDiff(null);
+        this.virtual = null;
+        this.hideDiffOutput();
+        this.showNoDiffMessage();
+    },
+
+    /**
+     * Load sample diff for demonstration
+     */
+    loadSampleDiff() {
+        const sampleDiff = window.DiffParser.generateSampleDiff();
+        const diffInput = document.getElementById('diff-input');
+        if (diffInput) {
+            diffInput.value = sampleDiff;
+            this.processDiff();
+        }
+    },
+
+    /**
+     * Load sample from URL parameter if requested
+     */
+    loadSampleIfRequested() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('sample') === 'true') {
+            this.loadSampleDiff();
+        }
+    },
+
+    /**
+     * Render the parsed diff
+     */
+    renderDiff(diffData) {
+        if (!diffData || !diffData.files || diffData.files.length === 0) {
+            this.showNoDiffMessage();
+            return;
+        }
+
+        this.hideNoDiffMessage();
+        this.showDiffOutput();
+
+        const diffContent = document.getElementById('diff-content');
+        if (!diffContent) return;
+
+        if (this.applyWhitespaceMode(diffData.files)) {
+            this.updateDiffStats(diffData);
+        }
+
+        this.renderCommitPicker(diffData);
+        diffData = this.getDisplayDiff(diffData);
+
+        this.collapsedFiles = new Set(this.expandAllFiles ? [] : diffData.files.map((file, index) => index));
+        diffData.files.forEach((file, index) => {
+            // Files the revisions agree on need no second look
+            if (this.isFileViewed(file) || file.interdiffStatus === 'identical') {
+                this.collapsedFiles.add(index);
+            }
+        });
+        this.updateSearch(diffData.files);
+        this.renderVirtualView(diffData.files);
+
+        // Decode image previews for binary patches in the background
+        this.loadBinaryPreviews(diffData.files);
+
+        // Update stats display
+        this.updateStatsDisplay(diffData.stats);
+        this.updateInterdiffSummary(diffData);
+
+        // Populate sidebar
+        this.populateSidebar(diffData.files);
+        this.updateViewedDisplay();
+
+        // Auto-show sidebar if there are multiple files
+        if (diffData.files.length > 1 && !this.sidebarVisible) {
+            this.toggleSidebar();
+        }
+    },
+
+    /**
+     * Show files with the current whitespace settings applied. The hunks as parsed are
+     * kept in originalHunks; file.hunks holds what is displayed and counted.
+     * @param {Array} files - Files of the current diff
+     * @returns {boolean} Whether any file's hunks changed
+     */
+    applyWhitespaceMode(files) {
+        const options = { mode: this.whitespaceMode, ignoreBlankLines: this.ignoreBlankLines };
+        const key = `${options.mode}:${options.ignoreBlankLines}`;
+        let changed = false;
+
+        files.forEach(file => {
+            if (file.combined || file.whitespaceKey === key) return;
+            if (!file.originalHunks) {
+                file.originalHunks = file.hunks;
+            }
+
+            const hunks = window.WhitespaceFilter.filterHunks(file.originalHunks, options);
+            if (hunks !== file.hunks) {
+                file.hunks = hunks;
+                // Lines are shared with the parsed hunks but may pair up differently
+                hunks.forEach(hunk => {
+                    hunk.inlineProgress = null;
+                    hunk.syntaxProgress = null;
+                });
+                // Gaps between hunks moved, so expanded context starts over
+                file.contextExpansion = [];
+                changed = true;
+            }
+            file.whitespaceKey = key;
+            file.whitespaceOnly = file.hunks.length === 0 && file.originalHunks.length > 0;
+        });
+
+        return changed;
+    },
+
+    /**
+     * Recount the stats of a diff and its commits after their lines changed
+     */
+    updateDiffStats(diffData) {
+        diffData.stats = window.DiffParser.getStats(diffData.files);
+        if (diffData.commits) {
+            diffData.commits.forEach(commit => {
+                commit.stats = window.DiffParser.getStats(commit.files);
+            });
+        }
+    },
+
+    /**
+     * Get the part of a diff to display: the selected commit of a patch series, or everything
+     */
+    getDisplayDiff(diffData) {
+        if (!diffData.commits || this.selectedCommit === null || !diffData.commits[this.selectedCommit]) {
+            return diffData;
+        }
+
+        const commit = diffData.commits[this.selectedCommit];
+        return { ...diffData, files: commit.files, stats: commit.stats };
+    },
+
+    /**
+     * Render the commit picker and timeline for patch series input
+     */
+    renderCommitPicker(diffData) {
+        const picker = document.getElementById('commit-picker');
+        if (!picker) return;
+
+        if (!diffData.commits || diffData.commits.length === 0) {
+            picker.classList.add('hidden');
+            picker.innerHTML = '';
+            return;
+        }
+
+        const commits = diffData.commits;
+        const selected = this.selectedCommit;
+
+        let html = '<div class="commit-picker-bar">';
+        html += `<span class="text-sm font-medium text-gray-700">Patch series · ${commits.length} commit${commits.length !== 1 ? 's' : ''}</span>`;
+        html += '<div class="flex items-center gap-2">';
+        html += `<button class="btn-secondary text-sm" onclick="window.DiffViewer.stepCommit(-1)" ${selected === 0 ? 'disabled' : ''}>‹ Previous</button>`;
+        html += '<select class="border border-gray-300 rounded-md px-2 py-1 text-sm" onchange="window.DiffViewer.selectCommit(this.value === \'all\' ? null : parseInt(this.value, 10))">';
+        html += `<option value="all" ${selected === null ? 'selected' : ''}>All commits (whole range)</option>`;
+        commits.forEach((commit, index) => {
+            html += `<option value="${index}" ${selected === index ? 'selected' : ''}>${index + 1}. ${this.escapeHtml(commit.subject || commit.sha)}</option>`;
+        });
+        html += '</select>';
+        html += `<button class="btn-secondary text-sm" onclick="window.DiffViewer.stepCommit(1)" ${selected === commits.length - 1 ? 'disabled' : ''}>Next ›</button>`;
+        html += '</div>';
+        html += '</div>';
+
+        // Timeline of commits in the series
+        html += '<ol class="commit-timeline">';
+        commits.forEach((commit, index) => {
+            const stats = commit.stats || { additions: 0, deletions: 0, files: commit.files.length };
+            html += `<li class="commit-timeline-item ${selected === index ? 'active' : ''}" onclick="window.DiffViewer.selectCommit(${index})" title="${this.escapeAttribute(commit.sha)}">`;
+            html += `<span class="commit-timeline-dot"></span>`;
+            html += `<div class="min-w-0">`;
+            html += `<div class="commit-timeline-subject">${this.escapeHtml(commit.subject || '(no subject)')}</div>`;
+            html += `<div class="commit-timeline-meta">${this.escapeHtml(commit.sha.substring(0, 7))} · ${this.escapeHtml(commit.author)}${commit.date ? ' · ' + this.escapeHtml(commit.date) : ''}`;
+            html += ` · ${stats.files} file${stats.files !== 1 ? 's' : ''} <span class="file-stats-additions">+${stats.additions}</span> <span class="file-stats-deletions">-${stats.deletions}</span></div>`;
             html += `</div>`;
-            html += `<div class="file-stats-badge">`;
-            if (stats.additions > 0) {
-                html += `<span class="file-stats-additions">+${stats.additions}</span>`;
+            html += '</li>';
+        });
+        html += '</ol>';
+
+        // Full message of the selected commit
+        if (selected !== null && commits[selected]) {
+            const commit = commits[selected];
+            html += '<div class="commit-details">';
+            html += `<div class="font-medium text-gray-900">${this.escapeHtml(commit.subject)}</div>`;
+            html += `<div class="text-xs text-gray-500 mb-2">${this.escapeHtml(commit.author)}${commit.email ? ' &lt;' + this.escapeHtml(commit.email) + '&gt;' : ''} · ${this.escapeHtml(commit.sha)}</div>`;
+            if (commit.message) {
+                html += `<pre class="commit-details-message">${this.escapeHtml(commit.message)}</pre>`;
             }
-            if (stats.deletions > 0) {
-                html += `<span class="file-stats-deletions">-${stats.deletions}</span>`;
+            html += '</div>';
+        }
+
+        picker.innerHTML = html;
+        picker.classList.remove('hidden');
+    },
+
+    /**
+     * Show a single commit of a patch series, or the whole range when index is null
+     */
+    selectCommit(index) {
+        if (!this.currentDiff || !this.currentDiff.commits) return;
+
+        this.selectedCommit = index;
+        this.renderDiff(this.currentDiff);
+    },
+
+    /**
+     * Step to the previous (-1) or next (1) commit of a patch series
+     */
+    stepCommit(direction) {
+        if (!this.currentDiff || !this.currentDiff.commits) return;
+
+        const lastIndex = this.currentDiff.commits.length - 1;
+        if (this.selectedCommit === null) {
+            this.selectCommit(direction > 0 ? 0 : lastIndex);
+        } else {
+            this.selectCommit(Math.min(lastIndex, Math.max(0, this.selectedCommit + direction)));
+        }
+    },
+
+    /**
+     * Render unified diff view: an empty list that updateVirtualWindow fills
+     * with the rows currently on screen
+     */
+    renderUnifiedView() {
+        return '<div class="virtual-list" data-panel="unified"><div class="virtual-window"></div></div>';
+    },
+
+    /**
+     * Render side-by-side diff view: two lists over the same rows, so every row
+     * sits at the same offset in both panels
+     */
+    renderSideBySideView() {
+        let html = '<div class="side-by-side-container">';
+        
+        // Headers
+        html += '<div class="side-by-side-header bg-red-50 text-red-800">';
+        html += '<span class="font-mono text-sm">- Original</span>';
+        html += '</div>';
+        html += '<div class="side-by-side-header bg-green-50 text-green-800">';
+        html += '<span class="font-mono text-sm">+ Modified</span>';
+        html += '</div>';
+        
+        // Content panels
+        html += '<div class="side-by-side-panel" id="left-panel">';
+        html += '<div class="side-by-side-content virtual-list" data-panel="original"><div class="virtual-window"></div></div>';
+        html += '</div>';
+        html += '<div class="side-by-side-panel" id="right-panel">';
+        html += '<div class="side-by-side-content virtual-list" data-panel="modified"><div class="virtual-window"></div></div>';
+        html += '</div>';
+        html += '</div>';
+        
+        // Add scroll synchronization after rendering
+        setTimeout(() => {
+            this.setupScrollSync();
+        }, 100);
+        
+        return html;
+    },
+
+    /**
+     * Build the flat row model behind the windowed views. Line rows are the parsed
+     * line objects themselves so that huge diffs cost one array slot per line.
+     * Side-by-side keeps a second array for the right panel, index-aligned with the first.
+     * @param {Array} files - Files of the displayed diff
+     */
+    buildVirtualRows(files) {
+        const sideBySide = this.currentViewMode === 'side-by-side';
+
+        this.virtual = {
+            files,
+            sideBySide,
+            rows: [],
+            pairRows: sideBySide ? [] : null,
+            fileStarts: [],
+            segments: [], // { row, fileIndex, hunk, firstLine } marking where each file and run of hunk lines begins
+            heights: new Float64Array(0),
+            measured: new Uint8Array(0),
+            offsets: new Float64Array(1),
+            lists: []
+        };
+        this.appendVirtualRows(0);
+    },
+
+    /**
+     * Add the rows of files from an index onwards to the row model, e.g. for files
+     * that arrive while a diff is still being parsed
+     * @param {number} fromFile - Index of the first file to add
+     */
+    appendVirtualRows(fromFile) {
+        const { files, sideBySide, rows, pairRows, fileStarts, segments } = this.virtual;
+        const emptyLine = { type: 'empty', content: '' };
+        const firstRow = rows.length;
+
+        const push = (left, right = left) => {
+            rows.push(left);
+            if (pairRows) pairRows.push(right);
+        };
+
+        // A line with comments is followed by a row holding its threads
+        const pushLine = (file, fileIndex, line) => {
+            if (sideBySide && line.type === 'removed') {
+                push(line, emptyLine);
+            } else if (sideBySide && line.type === 'added') {
+                push(emptyLine, line);
+            } else {
+                push(line);
+            }
+
+            if (!this.review) return false;
+            const keys = ['old', 'new'].map(side => this.getCommentKey(file, line, side));
+            if (!keys[0] && !keys[1]) return false;
+
+            if (sideBySide) {
+                push({ kind: 'comments', fileIndex, keys: keys[0] ? [keys[0]] : [] },
+                    { kind: 'comments', fileIndex, keys: keys[1] ? [keys[1]] : [] });
+            } else {
+                push({ kind: 'comments', fileIndex, keys: keys.filter(Boolean) });
+            }
+            return true;
+        };
+
+        for (let fileIndex = fromFile; fileIndex < files.length; fileIndex++) {
+            const file = files[fileIndex];
+            fileStarts.push(rows.length);
+            // A hidden file starts where the next one does
+            if (this.isFileHidden(file)) continue;
+
+            segments.push({ row: rows.length, fileIndex, hunk: null });
+            push({ kind: 'file-header', fileIndex });
+
+            if (!this.collapsedFiles.has(fileIndex)) {
+                if (file.isBinary && file.hunks.length === 0) {
+                    push({ kind: 'binary', fileIndex });
+                } else if (file.tooLarge && file.hunks.length === 0) {
+                    push({ kind: 'too-large', fileIndex });
+                }
+
+                if (!sideBySide && file.combined && file.hunks.length > 0) {
+                    push({ kind: 'combined-header', fileIndex });
+                }
+
+                const pushGap = gapIndex => {
+                    const gapRows = this.getContextGapRows(file, fileIndex, gapIndex);
+                    if (gapRows.length > 0) {
+                        segments.push({ row: rows.length, fileIndex, hunk: null });
+                        gapRows.forEach(row => {
+                            if (row.type === 'expander') {
+                                push(row);
+                            } else {
+                                pushLine(file, fileIndex, row);
+                            }
+                        });
+                    }
+                };
+
+                file.hunks.forEach((hunk, hunkIndex) => {
+                    pushGap(hunkIndex);
+                    if (!sideBySide) {
+                        push({ kind: 'hunk-header', fileIndex, hunk });
+                    }
+                    segments.push({ row: rows.length, fileIndex, hunk, firstLine: 0 });
+
+                    hunk.lines.forEach((line, lineIndex) => {
+                        // Comment rows break the line-to-row mapping, so the hunk resumes in a new segment
+                        if (pushLine(file, fileIndex, line) && lineIndex + 1 < hunk.lines.length) {
+                            segments.push({ row: rows.length, fileIndex, hunk, firstLine: lineIndex + 1 });
+                        }
+                    });
+                });
+                pushGap(file.hunks.length);
+            }
+
+            if (!sideBySide) {
+                push({ kind: 'file-end', fileIndex });
+            }
+        }
+
+        // Row heights start from per-kind estimates and are corrected as rows get measured
+        const heights = new Float64Array(rows.length);
+        const measured = new Uint8Array(rows.length);
+        const offsets = new Float64Array(rows.length + 1);
+        heights.set(this.virtual.heights);
+        measured.set(this.virtual.measured);
+        offsets.set(this.virtual.offsets);
+        for (let index = firstRow; index < rows.length; index++) {
+            heights[index] = this.getEstimatedRowHeight(this.getRowKind(rows[index]));
+        }
+
+        Object.assign(this.virtual, { heights, measured, offsets });
+        this.updateVirtualOffsets(firstRow);
+    },
+
+    /**
+     * Get the kind of a row in the virtual row model
+     */
+    getRowKind(row) {
+        if (row.kind) return row.kind;
+        return row.type === 'expander' ? 'expander' : 'line';
+    },
+
+    /**
+     * Estimated height of a row kind: the last measured height, or a default
+     */
+    getEstimatedRowHeight(kind) {
+        const mode = this.currentViewMode === 'side-by-side' ? 'side-by-side' : 'unified';
+        const measured = this.rowKindHeights[`${mode}:${kind}`];
+        if (measured) return measured;
+
+        return {
+            'file-header': 46,
+            'hunk-header': 38,
+            'combined-header': 24,
+            'binary': 300,
+            'too-large': 46,
+            'expander': 24,
+            'file-end': 16,
+            'comments': 120,
+            'line': 24
+        }[kind] || 24;
+    },
+
+    /**
+     * Recompute row offsets from a row onwards and resize the lists
+     */
+    updateVirtualOffsets(fromRow) {
+        const { heights, offsets } = this.virtual;
+        for (let i = fromRow; i < heights.length; i++) {
+            offsets[i + 1] = offsets[i] + heights[i];
+        }
+
+        this.virtual.lists.forEach(list => {
+            list.element.style.height = `${offsets[heights.length]}px`;
+        });
+    },
+
+    /**
+     * Find the row at a vertical offset within the list
+     */
+    findRowAtOffset(offset) {
+        const { offsets, rows } = this.virtual;
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    },
+
+    /**
+     * Find the file and hunk a row belongs to
+     * @returns {Object} { row, fileIndex, hunk, firstLine } segment, hunk null outside hunk lines
+     */
+    findRowSegment(rowIndex) {
+        const { segments } = this.virtual;
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (segments[mid].row <= rowIndex) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return segments[low];
+    },
+
+    /**
+     * Render the displayed diff into #diff-content as a virtualized list
+     * @param {Array} files - Files of the displayed diff
+     */
+    renderVirtualView(files) {
+        const diffContent = document.getElementById('diff-content');
+        if (!diffContent) return;
+
+        diffContent.innerHTML = this.currentViewMode === 'side-by-side'
+            ? this.renderSideBySideView()
+            : this.renderUnifiedView();
+
+        this.buildVirtualRows(files);
+        this.attachVirtualLists();
+        this.updateVirtualWindow(true);
+    },
+
+    /**
+     * Pick up the list elements rendered by renderUnifiedView / renderSideBySideView
+     */
+    attachVirtualLists() {
+        const diffContent = document.getElementById('diff-content');
+        this.virtual.lists = Array.from(diffContent.querySelectorAll('.virtual-list')).map(element => ({
+            element,
+            windowElement: element.querySelector('.virtual-window'),
+            panel: element.dataset.panel,
+            start: -1,
+            end: -1
+        }));
+        this.updateVirtualOffsets(0);
+    },
+
+    /**
+     * Rebuild the row model after collapsing files or expanding context, keeping
+     * the scroll position
+     */
+    rebuildVirtualRows() {
+        if (!this.virtual) return;
+
+        this.buildVirtualRows(this.virtual.files);
+        this.attachVirtualLists();
+        this.updateVirtualWindow(true);
+    },
+
+    /**
+     * Schedule a window update for the next frame (scroll and resize handler)
+     */
+    scheduleVirtualUpdate() {
+        if (this.virtualUpdatePending || !this.virtual) return;
+
+        this.virtualUpdatePending = true;
+        requestAnimationFrame(() => {
+            this.virtualUpdatePending = false;
+            this.updateVirtualWindow(false);
+        });
+    },
+
+    /**
+     * Render the rows that are on screen, plus some overscan, into each list
+     * @param {boolean} force - Re-render even when the visible range did not change
+     */
+    updateVirtualWindow(force) {
+        const virtual = this.virtual;
+        if (!virtual || virtual.lists.length === 0) return;
+
+        const overscan = 600;
+        const maxRows = 1500;
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+        virtual.lists.forEach(list => {
+            if (!list.element.isConnected) return;
+
+            const top = list.element.getBoundingClientRect().top;
+            const start = this.findRowAtOffset(Math.max(0, -top - overscan));
+            const end = Math.min(virtual.rows.length, this.findRowAtOffset(Math.max(0, -top + viewportHeight + overscan)) + 1, start + maxRows);
+
+            if (!force && start === list.start && end === list.end) return;
+            list.start = start;
+            list.end = end;
+
+            this.annotateVisibleHunks(start, end);
+
+            const rows = list.panel === 'modified' ? virtual.pairRows : virtual.rows;
+            let html = '';
+            for (let i = start; i < end; i++) {
+                html += this.renderVirtualRow(rows[i], i, list.panel);
+            }
+            list.windowElement.innerHTML = html;
+            list.windowElement.style.transform = `translateY(${virtual.offsets[start]}px)`;
+        });
+
+        this.measureVirtualRows();
+    },
+
+    /**
+     * Compute intra-line changes and syntax tokens for the hunks in a row range,
+     * so the cost follows what is on screen rather than the size of the diff
+     */
+    annotateVisibleHunks(start, end) {
+        const { segments } = this.virtual;
+        let index = segments.indexOf(this.findRowSegment(start));
+
+        // Hunk lines map one-to-one onto the rows following their segment start
+        for (; index < segments.length && segments[index].row < end; index++) {
+            const segment = segments[index];
+            if (segment.hunk) {
+                const uptoLine = segment.firstLine + end - 1 - segment.row;
+                this.annotateHunkInlineChanges(segment.hunk, uptoLine);
+                this.annotateHunkSyntax(segment.hunk, this.virtual.files[segment.fileIndex], uptoLine);
+            }
+        }
+    },
+
+    /**
+     * Render one row of the virtual list
+     * @param {Object} row - Row from the row model
+     * @param {number} rowIndex - Index of the row
+     * @param {string} panel - 'unified', 'original' or 'modified'
+     */
+    renderVirtualRow(row, rowIndex, panel) {
+        const kind = this.getRowKind(row);
+        const segment = this.findRowSegment(rowIndex);
+        const file = this.virtual.files[segment.fileIndex];
+        let html;
+
+        switch (kind) {
+            case 'file-header':
+                html = this.renderFileCollapseHeader(file, row.fileIndex);
+                break;
+            case 'hunk-header':
+                html = this.renderHunkHeader(row.hunk);
+                break;
+            case 'combined-header':
+                html = this.renderCombinedColumnHeader(file.parentCount);
+                break;
+            case 'binary':
+                html = this.renderBinaryFile(file, row.fileIndex, panel);
+                break;
+            case 'too-large':
+                html = '<div class="binary-file-body">This file is too large to diff line by line.</div>';
+                break;
+            case 'expander':
+                html = this.renderContextExpander(row);
+                break;
+            case 'file-end':
+                html = '';
+                break;
+            case 'comments':
+                html = this.renderCommentRow(row);
+                break;
+            default:
+                if (panel === 'unified') {
+                    html = file.combined && row.parentStates
+                        ? this.renderCombinedLine(row, file.parentCount)
+                        : this.renderUnifiedLine(row);
+                } else {
+                    // Merge commits show one line number and state column per parent on the left
+                    const parentCount = panel === 'original' && file.combined ? file.parentCount : 0;
+                    html = this.renderSingleLine(row, panel, parentCount);
+                }
+        }
+
+        // Measured heights are pinned so both side-by-side panels stay aligned
+        const style = this.virtual.measured[rowIndex] && kind !== 'line' ? ` style="min-height: ${this.virtual.heights[rowIndex]}px"` : '';
+        const panelClass = panel === 'unified' ? ' virtual-row-unified' : '';
+        const focusClass = rowIndex === this.getKeyboardFocusRow() ? ' keyboard-focus' : '';
+        const selectedClass = kind === 'line' && this.isLineSelected(file, row, panel) ? ' line-selected' : '';
+        return `<div class="virtual-row virtual-row-${kind}${panelClass}${focusClass}${selectedClass}" data-row="${rowIndex}"${style}>${html}</div>`;
+    },
+
+    /**
+     * Measure rendered rows and correct their heights. Rows above the viewport
+     * that change size shift the scroll position so the content does not jump.
+     */
+    measureVirtualRows() {
+        const virtual = this.virtual;
+        const lists = virtual.lists.filter(list => list.element.isConnected && list.start >= 0);
+        if (lists.length === 0) return;
+
+        const mode = virtual.sideBySide ? 'side-by-side' : 'unified';
+        const viewTop = -lists[0].element.getBoundingClientRect().top;
+        const measuredHeights = new Map();
+
+        lists.forEach(list => {
+            Array.from(list.windowElement.children).forEach((element, offset) => {
+                const height = element.offsetHeight;
+                const rowIndex = list.start + offset;
+                if (height > 0) {
+                    measuredHeights.set(rowIndex, Math.max(height, measuredHeights.get(rowIndex) || 0));
+                }
+            });
+        });
+
+        let changedFrom = Infinity;
+        let scrollShift = 0;
+        measuredHeights.forEach((height, rowIndex) => {
+            const kind = this.getRowKind(virtual.rows[rowIndex]);
+            const kindKey = `${mode}:${kind}`;
+
+            // The first measurement of a kind becomes the estimate for every unmeasured row of it
+            if (!this.rowKindHeights[kindKey] && kind !== 'binary') {
+                this.rowKindHeights[kindKey] = height;
+                virtual.rows.forEach((row, index) => {
+                    if (!virtual.measured[index] && virtual.heights[index] !== height && this.getRowKind(row) === kind) {
+                        if (virtual.offsets[index] < viewTop) scrollShift += height - virtual.heights[index];
+                        virtual.heights[index] = height;
+                        changedFrom = Math.min(changedFrom, index);
+                    }
+                });
+            }
+
+            if (Math.abs(virtual.heights[rowIndex] - height) > 0.5) {
+                if (virtual.offsets[rowIndex] < viewTop) scrollShift += height - virtual.heights[rowIndex];
+                virtual.heights[rowIndex] = height;
+                changedFrom = Math.min(changedFrom, rowIndex);
+            }
+            virtual.measured[rowIndex] = 1;
+        });
+
+        // Pin taller-than-natural rows so the two side-by-side panels line up
+        if (virtual.sideBySide) {
+            lists.forEach(list => {
+                Array.from(list.windowElement.children).forEach((element, offset) => {
+                    const height = virtual.heights[list.start + offset];
+                    if (element.offsetHeight > 0 && element.offsetHeight < height) {
+                        element.style.minHeight = `${height}px`;
+                    }
+                });
+            });
+        }
+
+        if (changedFrom === Infinity) return;
+
+        this.updateVirtualOffsets(changedFrom);
+        lists.forEach(list => {
+            list.windowElement.style.transform = `translateY(${virtual.offsets[list.start]}px)`;
+        });
+        if (scrollShift !== 0) {
+            window.scrollBy(0, scrollShift);
+        }
+
+        // Corrected heights can bring more rows into view
+        this.scheduleVirtualUpdate();
+    },
+
+    /**
+     * Re-render the visible rows without rebuilding the row model
+     */
+    refreshVirtualWindow() {
+        if (this.virtual) {
+            this.updateVirtualWindow(true);
+        }
+    },
+
+    /**
+     * Scroll the page so that a row of the virtual list is at the top
+     * @param {number} rowIndex - Row to show
+     * @param {string} behavior - 'auto' or 'smooth'
+     */
+    scrollToRow(rowIndex, behavior = 'auto') {
+        const list = this.virtual && this.virtual.lists[0];
+        if (!list) return;
+
+        // Leave room for the sticky navigation bar, like .diff-file-anchor's scroll margin
+        const top = window.scrollY + list.element.getBoundingClientRect().top + this.virtual.offsets[rowIndex] - 100;
+        window.scrollTo({ top: Math.max(0, top), behavior });
+    },
+
+    /**
+     * Render side-by-side panel
+     */
+    renderSideBySidePanel(lines, side) {
+        let html = '';
+        
+        lines.forEach(line => {
+            html += this.renderSingleLine(line, side);
+        });
+
+        return html;
+    },
+
+    /**
+     * Render a single line for side-by-side view
+     * @param {Object} line - Line to render
+     * @param {string} side - 'original' or 'modified'
+     * @param {number} parentCount - Number of parents when rendering a combined diff's original side
+     */
+    renderSingleLine(line, side, parentCount = 0) {
+        if (line.type === 'expander') {
+            return this.renderContextExpander(line);
+        } else if (line.type === 'empty') {
+            const numberCells = parentCount > 0
+                ? '<div class="diff-line-number"></div>'.repeat(parentCount) + this.renderCombinedStates(null, parentCount)
+                : '<div class="diff-line-number"></div>';
+            return '<div class="diff-line diff-line-empty">' +
+                   numberCells +
+                   '<div class="diff-line-content">&nbsp;</div>' +
+                   '</div>';
+        } else if (parentCount > 0) {
+            const lineClass = this.getDiffLineClass(line.type);
+            const numbers = line.parentLineNumbers || [];
+            let numberCells = '';
+            for (let parent = 0; parent < parentCount; parent++) {
+                numberCells += `<div class="diff-line-number">${numbers[parent] || ''}</div>`;
+            }
+            return `<div class="diff-line diff-line-combined ${lineClass}">` +
+                   numberCells +
+                   this.renderCombinedStates(line.parentStates, parentCount) +
+                   `<div class="diff-line-content">${this.renderLineContent(line, side)}${this.renderNoNewlineBadge(line)}</div>` +
+                   '</div>';
+        } else {
+            const lineClass = this.getDiffLineClass(line.type);
+            return `<div class="diff-line ${lineClass}">` +
+                   `<div class="diff-line-number"${this.renderCommentTrigger(line, side === 'original' ? 'old' : 'new')}>${this.getLineNumber(line, side)}</div>` +
+                   `<div class="diff-line-content">${this.renderLineContent(line, side)}${this.renderNoNewlineBadge(line)}</div>` +
+                   '</div>';
+        }
+    },
+
+    /**
+     * Get line number for display
+     */
+    getLineNumber(line, side) {
+        if (side === 'original') {
+            return line.oldLineNumber || '';
+        } else if (side === 'modified') {
+            return line.newLineNumber || '';
+        }
+        return line.oldLineNumber || line.newLineNumber || '';
+    },
+
+    /**
+     * Render file header
+     */
+    renderFileHeader(file, side = null) {
+        const fileName = file.newPath || file.oldPath || 'Unknown file';
+        const fileType = window.DiffParser.getFileType(fileName);
+        
+        return `
+            <div class="diff-file-header">
+                <span class="mr-2">${this.getFileTypeIcon(fileType)}</span>
+                ${this.escapeHtml(this.getFileDisplayName(file))}
+                ${this.renderFileMetaBadges(file)}
+            </div>
+        `;
+    },
+
+    /**
+     * Render the collapsible header bar shown above each file's content
+     */
+    renderFileCollapseHeader(file, index) {
+        const stats = this.getFileStats(file);
+        const fileName = file.newPath || file.oldPath || 'Unknown file';
+        const isCollapsed = this.collapsedFiles.has(index);
+
+        let html = `<div class="file-collapse-header" onclick="window.DiffViewer.toggleFileCollapse(${index})">`;
+        html += `<div class="file-collapse-toggle">`;
+        html += `<svg class="file-collapse-icon ${isCollapsed ? 'collapsed' : ''}" fill="none" stroke="currentColor" viewBox="0 0 24 24">`;
+        html += `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/>`;
+        html += `</svg>`;
+        html += `<span class="mr-2">${this.getFileTypeIcon(window.DiffParser.getFileType(fileName))}</span>`;
+        html += `<span>${this.escapeHtml(this.getFileDisplayName(file))}</span>`;
+        html += this.renderFileMetaBadges(file);
+        html += `</div>`;
+        html += `<div class="file-stats-badge">`;
+        if (stats.additions > 0) {
+            html += `<span class="file-stats-additions">+${stats.additions}</span>`;
+        }
+        if (stats.deletions > 0) {
+            html += `<span class="file-stats-deletions">-${stats.deletions}</span>`;
+        }
+        html += `</div>`;
+        html += `<button type="button" class="file-share-button" onclick="event.stopPropagation(); window.DiffViewer.shareFile(${index})" title="Share only this file">Share</button>`;
+        html += `<label class="file-viewed-toggle" onclick="event.stopPropagation()" title="Mark as viewed and collapse">`;
+        html += `<input type="checkbox" ${this.isFileViewed(file) ? 'checked' : ''} onchange="window.DiffViewer.setFileViewed(${index}, this.checked)">`;
+        html += `<span>Viewed</span>`;
+        html += `</label>`;
+        html += `</div>`;
+
+        return html;
+    },
+
+    /**
+     * Get the name to display for a file ("old → new" for renames and copies)
+     */
+    getFileDisplayName(file) {
+        if ((file.isRename || file.isCopy) && file.oldPath && file.newPath && file.oldPath !== file.newPath) {
+            return `${file.oldPath} → ${file.newPath}`;
+        }
+        return file.newPath || file.oldPath || 'Unknown file';
+    },
+
+    /**
+     * Get labels describing a file's change type and extended header metadata
+     * @returns {Array} Array of { kind, label, title } objects
+     */
+    getFileMetaLabels(file) {
+        const labels = [];
+
+        if (file.type === 'new') {
+            labels.push({ kind: 'new', label: 'new', title: 'New file' });
+        } else if (file.type === 'deleted') {
+            labels.push({ kind: 'deleted', label: 'deleted', title: 'Deleted file' });
+        }
+
+        if (file.isBinary) {
+            labels.push({ kind: 'binary', label: 'binary', title: 'Binary file' });
+        }
+
+        if (file.tooLarge) {
+            labels.push({ kind: 'too-large', label: 'too large', title: 'Too large to diff line by line' });
+        }
+
+        if (file.whitespaceOnly) {
+            labels.push({ kind: 'whitespace', label: 'whitespace only', title: 'Only whitespace changed; hidden by the whitespace setting' });
+        }
+
+        if (file.interdiffStatus) {
+            const titles = {
+                identical: 'Same in both revisions of the patch',
+                added: 'Only in the new revision of the patch',
+                dropped: 'Only in the old revision of the patch',
+                modified: 'Changed between the revisions of the patch'
+            };
+            labels.push({ kind: `interdiff-${file.interdiffStatus}`, label: file.interdiffStatus, title: titles[file.interdiffStatus] });
+        }
+
+        // In the whole-range view of a patch series, tell which commit a file belongs to
+        if (file.commitIndex !== undefined && this.selectedCommit === null && this.currentDiff && this.currentDiff.commits) {
+            const commit = this.currentDiff.commits[file.commitIndex];
+            labels.push({
+                kind: 'commit',
+                label: `commit ${file.commitIndex + 1}/${this.currentDiff.commits.length}`,
+                title: commit ? commit.subject : ''
+            });
+        }
+
+        if (file.combined) {
+            labels.push({ kind: 'combined', label: `merge · ${file.parentCount || 2} parents`, title: 'Combined diff of a merge commit' });
+        }
+
+        if (file.isRename) {
+            labels.push({
+                kind: 'renamed',
+                label: file.similarity !== null && file.similarity !== undefined ? `renamed ${file.similarity}%` : 'renamed',
+                title: 'Similarity between the old and new file'
+            });
+        } else if (file.isCopy) {
+            labels.push({
+                kind: 'copied',
+                label: file.similarity !== null && file.similarity !== undefined ? `copied ${file.similarity}%` : 'copied',
+                title: 'Similarity between the source and the copy'
+            });
+        }
+
+        if (file.dissimilarity !== null && file.dissimilarity !== undefined) {
+            labels.push({
+                kind: 'rewritten',
+                label: `rewritten ${file.dissimilarity}%`,
+                title: 'Share of the file that was rewritten'
+            });
+        }
+
+        if (file.oldMode && file.newMode && file.oldMode !== file.newMode) {
+            labels.push({
+                kind: 'mode',
+                label: `${file.oldMode} → ${file.newMode}`,
+                title: 'File mode (permissions) changed'
+            });
+        }
+
+        return labels;
+    },
+
+    /**
+     * Render metadata labels as header badges
+     */
+    renderFileMetaBadges(file) {
+        return this.getFileMetaLabels(file)
+            .map(meta => `<span class="file-meta-badge ${meta.kind}" title="${this.escapeAttribute(meta.title)}">${this.escapeHtml(meta.label)}</span>`)
+            .join('');
+    },
+
+    /**
+     * Render the body of a binary file: sizes plus an image preview placeholder
+     * @param {Object} file - Parsed binary file
+     * @param {number} index - File index
+     * @param {string} side - 'unified', 'original' or 'modified'
+     */
+    renderBinaryFile(file, index, side) {
+        const binary = file.binary || { oldSize: null, newSize: null, patch: null };
+        const preview = file.binaryPreview;
+        const hasLiteral = binary.patch && [binary.patch.forward, binary.patch.reverse]
+            .some(block => block && block.method === 'literal');
+        const sizes = preview && preview.status === 'ready' ? preview : binary;
+
+        let html = `<div class="binary-file-body" data-binary-file="${index}" data-binary-side="${side}">`;
+        html += `<div class="binary-file-sizes">${this.escapeHtml(this.describeBinarySizes(sizes.oldSize, sizes.newSize, side))}</div>`;
+
+        if (hasLiteral) {
+            html += `<div class="binary-preview">${this.renderBinaryPreview(preview, side)}</div>`;
+        } else if (!binary.patch) {
+            html += `<div class="binary-file-hint">Binary content is not included in this diff. Use <code>git diff --binary</code> to preview images.</div>`;
+        }
+
+        html += '</div>';
+        return html;
+    },
+
+    /**
+     * Render the decoded before/after images of a binary file for one side
+     * @param {Object|undefined} preview - Decoding result stored by loadBinaryPreviews
+     * @param {string} side - 'unified', 'original' or 'modified'
+     */
+    renderBinaryPreview(preview, side) {
+        if (!preview || preview.status === 'loading') {
+            return '<span class="text-gray-500 text-sm">Decoding preview...</span>';
+        }
+        if (preview.status === 'error') {
+            return `<span class="text-red-600 text-sm">Could not decode binary patch: ${this.escapeHtml(preview.message)}</span>`;
+        }
+        if (!preview.oldUrl && !preview.newUrl) {
+            return '<span class="text-gray-500 text-sm">No preview available for this file type</span>';
+        }
+
+        if (side === 'original') {
+            return this.renderBinaryPreviewImage(preview.oldUrl, 'Before');
+        } else if (side === 'modified') {
+            return this.renderBinaryPreviewImage(preview.newUrl, 'After');
+        }
+        return this.renderBinaryPreviewImage(preview.oldUrl, 'Before') +
+            this.renderBinaryPreviewImage(preview.newUrl, 'After');
+    },
+
+    /**
+     * Describe binary file sizes for the given side
+     */
+    describeBinarySizes(oldSize, newSize, side) {
+        const format = size => size === null || size === undefined ? 'unknown size' : this.formatBytes(size);
+
+        if (side === 'original') {
+            return `Binary file · ${format(oldSize)}`;
+        } else if (side === 'modified') {
+            return `Binary file · ${format(newSize)}`;
+        }
+        return `Binary file · ${format(oldSize)} → ${format(newSize)}`;
+    },
+
+    /**
+     * Format a byte count for display
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        } else if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    /**
+     * Decode binary patches in the background. Results are kept on the file so
+     * rows scrolled into view later, or another commit of a series, reuse them.
+     */
+    async loadBinaryPreviews(files) {
+        for (let index = 0; index < files.length; index++) {
+            const file = files[index];
+            if (!file.binary || !file.binary.patch || !window.BinaryPatch || file.binaryPreview) {
+                continue;
+            }
+
+            file.binaryPreview = { status: 'loading' };
+            try {
+                const decoded = await window.BinaryPatch.decodeImages(file);
+                const oldUrl = decoded.oldImage ? URL.createObjectURL(decoded.oldImage) : null;
+                const newUrl = decoded.newImage ? URL.createObjectURL(decoded.newImage) : null;
+                [oldUrl, newUrl].filter(Boolean).forEach(url => this.binaryPreviewUrls.push(url));
+
+                file.binaryPreview = { status: 'ready', oldUrl, newUrl, oldSize: decoded.oldSize, newSize: decoded.newSize };
+            } catch (error) {
+                file.binaryPreview = { status: 'error', message: error.message };
+            }
+
+            this.refreshVirtualWindow();
+        }
+    },
+
+    /**
+     * Release the object URLs of decoded binary previews when the diff is replaced
+     */
+    releaseBinaryPreviews() {
+        this.binaryPreviewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.binaryPreviewUrls = [];
+    },
+
+    /**
+     * Render one image of a before/after binary preview
+     */
+    renderBinaryPreviewImage(url, label) {
+        return `
+            <figure class="binary-preview-image">
+                ${url ? `<img src="${url}" alt="${label}">` : '<div class="binary-preview-missing">No image</div>'}
+                <figcaption>${label}</figcaption>
+            </figure>
+        `;
+    },
+
+    /**
+     * Render hunk header
+     */
+    renderHunkHeader(hunk) {
+        return `
+            <div class="diff-hunk-header">
+                ${hunk.interdiffStatus ? this.renderInterdiffBadge(hunk) : ''}
+                ${this.escapeHtml(hunk.header)}
+                ${hunk.context ? ` ${this.escapeHtml(hunk.context)}` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Render the badge telling how a hunk changed between two revisions of a patch
+     */
+    renderInterdiffBadge(hunk) {
+        const titles = {
+            identical: 'Same in both revisions',
+            added: 'Only in the new revision',
+            dropped: 'Only in the old revision',
+            modified: `Changed between revisions (was ${hunk.interdiffHeaders.old})`
+        };
+        return `<span class="interdiff-badge ${hunk.interdiffStatus}" title="${this.escapeAttribute(titles[hunk.interdiffStatus])}">${hunk.interdiffStatus}</span>`;
+    },
+
+    /**
+     * Render a line for unified view
+     */
+    renderUnifiedLine(line) {
+        const lineClass = this.getDiffLineClass(line.type);
+        return `<div class="diff-line ${lineClass}">` +
+               `<div class="diff-line-number"${this.renderCommentTrigger(line, line.type === 'added' ? 'new' : 'old')}>${this.getLineNumberUnified(line)}</div>` +
+               `<div class="diff-line-content">${this.renderLineContent(line)}${this.renderNoNewlineBadge(line)}</div>` +
+               '</div>';
+    },
+
+    /**
+     * Get the rows to show for a gap between hunks: context revealed below the
+     * previous hunk, an expand control while lines remain hidden, then context
+     * revealed above the next hunk
+     * @param {Object} file - File being rendered
+     * @param {number} fileIndex - Index of the file in the displayed diff
+     * @param {number} gapIndex - Gap before hunk gapIndex, or after the last hunk
+     * @returns {Array} Unchanged lines and at most one { type: 'expander' } row
+     */
+    getContextGapRows(file, fileIndex, gapIndex) {
+        if (!file.contextSource) {
+            return [];
+        }
+
+        const gap = window.ContextExpander.getGaps(file, file.contextSource)[gapIndex];
+        if (!gap || gap.size === 0) {
+            return [];
+        }
+
+        const state = (file.contextExpansion && file.contextExpansion[gapIndex]) || { top: 0, bottom: 0 };
+        const hidden = gap.size - state.top - state.bottom;
+        const rows = this.highlightExpandedLines(file, window.ContextExpander.getGapLines(gap, file.contextSource, 0, state.top));
+
+        if (hidden > 0) {
+            rows.push({
+                type: 'expander',
+                fileIndex,
+                gapIndex,
+                hidden,
+                canExpandUp: gapIndex < file.hunks.length,
+                canExpandDown: gapIndex > 0
+            });
+        }
+
+        rows.push(...this.highlightExpandedLines(file, window.ContextExpander.getGapLines(gap, file.contextSource, gap.size - state.bottom, gap.size)));
+        return rows;
+    },
+
+    /**
+     * Tokenize a run of expanded context lines for syntax highlighting
+     */
+    highlightExpandedLines(file, lines) {
+        const language = this.getFileLanguage(file);
+        if (!this.syntaxHighlighting || !window.SyntaxHighlighter.supports(language)) {
+            return lines;
+        }
+
+        let state = null;
+        lines.forEach(line => {
+            const result = window.SyntaxHighlighter.tokenizeLine(line.content, language, state);
+            line.syntaxTokens = result.tokens;
+            state = result.state;
+        });
+        return lines;
+    },
+
+    /**
+     * Render the expand controls for hidden context lines
+     */
+    renderContextExpander(row) {
+        const { fileIndex, gapIndex, hidden } = row;
+        const step = window.ContextExpander.expandStep;
+        const action = direction => `window.DiffViewer.expandContext(${fileIndex}, ${gapIndex}, '${direction}')`;
+        let buttons = '';
+
+        if (hidden > step && row.canExpandDown) {
+            buttons += `<button type="button" class="diff-context-expand-btn" onclick="${action('down')}" title="Show ${step} more lines below the previous hunk">↓</button>`;
+        }
+        if (hidden > step && row.canExpandUp) {
+            buttons += `<button type="button" class="diff-context-expand-btn" onclick="${action('up')}" title="Show ${step} more lines above the next hunk">↑</button>`;
+        }
+        buttons += `<button type="button" class="diff-context-expand-btn" onclick="${action('all')}" title="Show all hidden lines">↕</button>`;
+
+        return `<div class="diff-line diff-context-expander">` +
+               `<div class="diff-line-number">${buttons}</div>` +
+               `<div class="diff-line-content" onclick="${action('all')}">${hidden} hidden ${hidden === 1 ? 'line' : 'lines'}</div>` +
+               '</div>';
+    },
+
+    /**
+     * Reveal hidden context lines in a gap between hunks
+     * @param {number} fileIndex - Index of the file in the displayed diff
+     * @param {number} gapIndex - Gap before hunk gapIndex, or after the last hunk
+     * @param {string} direction - 'up', 'down' or 'all'
+     */
+    expandContext(fileIndex, gapIndex, direction) {
+        if (!this.currentDiff) return;
+
+        const file = this.virtual && this.virtual.files[fileIndex];
+        if (!file || !file.contextSource) return;
+
+        const gap = window.ContextExpander.getGaps(file, file.contextSource)[gapIndex];
+        if (!gap) return;
+
+        file.contextExpansion = file.contextExpansion || [];
+        const state = file.contextExpansion[gapIndex] || { top: 0, bottom: 0 };
+        file.contextExpansion[gapIndex] = window.ContextExpander.expand(gap, state, direction);
+
+        this.rebuildVirtualRows();
+    },
+
+    /**
+     * Attach locally supplied file versions to the diff files they belong to.
+     * A source is matched by file name and accepted only if every hunk's old or
+     * new lines appear in it at the right line numbers.
+     * @param {Array} sources - { path, text } pairs; path may be a bare file name
+     * @returns {number} Number of diff files that received a source
+     */
+    attachContextSources(sources) {
+        if (!this.currentDiff) return 0;
+
+        const attached = new Set();
+        sources.forEach(({ path, text }) => {
+            const lines = window.ContextExpander.splitLines(text);
+            const normalizedPath = path.replace(/\\/g, '/');
+
+            this.currentDiff.files.forEach(file => {
+                const paths = [file.newPath, file.oldPath].filter(candidate => candidate && candidate !== '/dev/null');
+                const pathMatches = paths.some(candidate =>
+                    candidate === normalizedPath || candidate.endsWith('/' + normalizedPath) || normalizedPath.endsWith('/' + candidate));
+                if (!pathMatches) return;
+
+                // Unchanged lines shown for whitespace-only changes hold the new content
+                const side = window.ContextExpander.matchSource({ ...file, hunks: file.originalHunks || file.hunks }, lines);
+                if (side) {
+                    file.contextSource = { side, lines };
+                    file.contextExpansion = [];
+                    attached.add(file);
+                }
+            });
+        });
+
+        // Add the expand controls without resetting collapse state
+        if (attached.size > 0) {
+            this.rebuildVirtualRows();
+        }
+
+        return attached.size;
+    },
+
+    /**
+     * Read picked or dropped files and use them as context sources
+     * @param {FileList|Array} files - Files chosen by the user
+     */
+    async loadContextSourceFiles(files) {
+        const sources = await Promise.all(Array.from(files).map(async file => ({
+            path: file.webkitRelativePath || file.name,
+            text: await file.text()
+        })));
+
+        this.reportContextSources(this.attachContextSources(sources), sources.length);
+    },
+
+    /**
+     * Let the user pick a local checkout and read the files the diff touches from it
+     */
+    async pickContextFolder() {
+        if (!window.showDirectoryPicker) {
+            this.showMessage('Picking a folder needs a browser with the File System Access API. You can still choose individual files.', 'warning');
+            return;
+        }
+
+        let directory;
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showMessage('Could not open folder: ' + error.message, 'error');
+            }
+            return;
+        }
+
+        await this.loadContextFromDirectory(directory);
+    },
+
+    /**
+     * Read every file of the diff from a directory handle, trying the new path first
+     * @param {FileSystemDirectoryHandle} directory - Root of a local checkout
+     */
+    async loadContextFromDirectory(directory) {
+        if (!this.currentDiff) return;
+
+        const paths = new Set();
+        this.currentDiff.files.forEach(file => {
+            if (file.combined || file.hunks.length === 0) return;
+            [file.newPath, file.oldPath].forEach(path => {
+                if (path && path !== '/dev/null') {
+                    paths.add(path);
+                }
+            });
+        });
+
+        const sources = [];
+        for (const path of paths) {
+            const text = await this.readDirectoryFile(directory, path);
+            if (text !== null) {
+                sources.push({ path, text });
+            }
+        }
+
+        this.reportContextSources(this.attachContextSources(sources), sources.length);
+    },
+
+    /**
+     * Read a file below a directory handle
+     * @returns {Promise<string|null>} File content, or null when it does not exist
+     */
+    async readDirectoryFile(directory, path) {
+        try {
+            const segments = path.split('/').filter(Boolean);
+            let handle = directory;
+            for (const segment of segments.slice(0, -1)) {
+                handle = await handle.getDirectoryHandle(segment);
+            }
+            const fileHandle = await handle.getFileHandle(segments[segments.length - 1]);
+            return await (await fileHandle.getFile()).text();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Tell the user how many diff files can now expand their context
+     */
+    reportContextSources(attachedCount, sourceCount) {
+        if (attachedCount > 0) {
+            this.showMessage(`Loaded full source for ${attachedCount} ${attachedCount === 1 ? 'file' : 'files'}. Use the expand controls between hunks to show hidden lines.`, 'success');
+        } else if (sourceCount > 0) {
+            this.showMessage('None of the supplied files match the old or new version of a file in this diff.', 'warning');
+        } else {
+            this.showMessage('No files from this diff were found.', 'warning');
+        }
+    },
+
+    /**
+     * Load the stored review comments and viewed files of the current diff and show them
+     */
+    async loadReviewState() {
+        const diff = this.currentDiff;
+        if (!diff || !diff.rawContent) return;
+
+        let hash = null;
+        let threads = [];
+        let viewed = {};
+        try {
+            hash = await window.ReviewStore.hashContent(diff.rawContent);
+            const record = await window.ReviewStore.get('comments', hash);
+            threads = record ? record.threads : [];
+            viewed = await this.loadViewedFiles(hash, diff.files);
+        } catch (error) {
+            // Comments and viewed marks still work without IndexedDB, they are just not kept
+            if (!this.reviewStorageWarned) {
+                this.reviewStorageWarned = true;
+                this.showMessage('Comments and viewed files cannot be saved in this browser (' + error.message + '), so they will be lost when you leave the page.', 'warning');
+            }
+        }
+
+        if (diff !== this.currentDiff) return;
+
+        this.review = { hash, threads, index: window.ReviewComments.indexThreads(threads), viewed };
+        this.updateCommentCount();
+
+        if (this.virtual) {
+            this.virtual.files.forEach((file, index) => {
+                if (this.isFileViewed(file)) {
+                    this.collapsedFiles.add(index);
+                }
+            });
+        }
+        if (threads.length > 0 || Object.keys(viewed).length > 0) {
+            this.rebuildVirtualRows();
+        }
+        this.updateViewedDisplay();
+
+        // Last step of loading a diff, so a linked file is expanded after viewed files collapsed
+        this.applyPendingAnchor();
+    },
+
+    /**
+     * Load the files marked as viewed for a diff. A diff seen for the first time
+     * takes them from the last review sharing files with it (e.g. an earlier revision
+     * of the same change), minus any file whose changes differ.
+     * @param {string} hash - Hash of the diff
+     * @param {Array} files - All files of the diff
+     * @returns {Promise<Object>} Review key to fingerprint of each viewed file
+     */
+    async loadViewedFiles(hash, files) {
+        const record = await window.ReviewStore.get('viewed', hash);
+        if (record) {
+            return record.files;
+        }
+
+        const filesByKey = new Map(files.map(file => [this.getFileReviewKey(file), file]));
+        const previous = (await window.ReviewStore.getAll('viewed'))
+            .filter(other => Object.keys(other.files).some(key => filesByKey.has(key)))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0];
+
+        const viewed = {};
+        if (previous) {
+            Object.entries(previous.files).forEach(([key, fingerprint]) => {
+                const file = filesByKey.get(key);
+                if (file && this.getFileFingerprint(file) === fingerprint) {
+                    viewed[key] = fingerprint;
+                }
+            });
+        }
+        return viewed;
+    },
+
+    /**
+     * Save the viewed files of the current diff
+     */
+    async saveViewedFiles() {
+        if (!this.review.hash) return;
+
+        try {
+            await window.ReviewStore.put('viewed', {
+                diffHash: this.review.hash,
+                files: this.review.viewed,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            this.showMessage('Failed to save viewed files: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Get the key a file's viewed state is kept under: its path, plus the commit
+     * subject for a patch series so it still matches after a rebase
+     */
+    getFileReviewKey(file) {
+        const path = file.newPath || file.oldPath || '';
+        const commits = this.currentDiff && this.currentDiff.commits;
+        return commits && file.commitIndex !== undefined ? `${commits[file.commitIndex].subject}\n${path}` : path;
+    },
+
+    /**
+     * Fingerprint the changes of a file, to notice when a new revision changes it
+     * @param {Object} file - Parsed diff file
+     * @returns {string} Hash of the file's paths, modes and changed lines
+     */
+    getFileFingerprint(file) {
+        const parts = [file.oldPath, file.newPath, file.oldMode, file.newMode];
+
+        // Binary patches have no lines; their blob hashes identify the content
+        if (file.isBinary) {
+            parts.push(file.index);
+        }
+        // Fingerprint the hunks as parsed, whatever whitespace is hidden
+        (file.originalHunks || file.hunks).forEach(hunk => {
+            parts.push('@@');
+            hunk.lines.forEach(line => parts.push(line.type.charAt(0) + line.content));
+        });
+
+        return window.ReviewStore.hashString(parts.join('\n'));
+    },
+
+    /**
+     * Check whether a file is marked as viewed
+     */
+    isFileViewed(file) {
+        return !!this.review && Object.prototype.hasOwnProperty.call(this.review.viewed, this.getFileReviewKey(file));
+    },
+
+    /**
+     * Mark a file as viewed, collapsing it, or as not viewed
+     * @param {number} fileIndex - Index of the file in the displayed diff
+     * @param {boolean} viewed - New state
+     */
+    setFileViewed(fileIndex, viewed) {
+        if (!this.review || !this.virtual) {
+            this.showMessage('Files can be marked as viewed once the diff has finished loading.', 'info');
+            this.updateViewedDisplay();
+            return;
+        }
+
+        const file = this.virtual.files[fileIndex];
+        const key = this.getFileReviewKey(file);
+        if (viewed) {
+            this.review.viewed[key] = this.getFileFingerprint(file);
+            this.collapsedFiles.add(fileIndex);
+        } else {
+            delete this.review.viewed[key];
+        }
+
+        this.saveViewedFiles();
+        this.rebuildVirtualRows();
+        this.updateViewedDisplay();
+
+        // Keep the collapsed file in view rather than wherever its content used to end
+        const list = this.virtual.lists[0];
+        const headerOffset = this.virtual.offsets[this.virtual.fileStarts[fileIndex]];
+        if (viewed && list && list.element.getBoundingClientRect().top + headerOffset < 0) {
+            this.scrollToRow(this.virtual.fileStarts[fileIndex]);
+        }
+    },
+
+    /**
+     * Sync the sidebar checkboxes and the review progress bar with the viewed files
+     */
+    updateViewedDisplay() {
+        const files = this.virtual ? this.virtual.files : [];
+        let viewedCount = 0;
+
+        files.forEach(file => {
+            if (this.isFileViewed(file)) viewedCount++;
+        });
+
+        document.querySelectorAll('#sidebar-file-list .diff-sidebar-file').forEach(item => {
+            const file = files[Number(item.dataset.fileIndex)];
+            const viewed = !!file && this.isFileViewed(file);
+            item.classList.toggle('viewed', viewed);
+            const checkbox = item.querySelector('.diff-sidebar-file-viewed');
+            if (checkbox) {
+                checkbox.checked = viewed;
+            }
+        });
+
+        const progress = document.getElementById('review-progress');
+        const bar = document.getElementById('review-progress-bar');
+        const text = document.getElementById('review-progress-text');
+        if (!progress) return;
+
+        progress.classList.toggle('hidden', files.length === 0);
+        if (bar) {
+            bar.style.width = files.length > 0 ? `${viewedCount / files.length * 100}%` : '0';
+        }
+        if (text) {
+            text.textContent = `${viewedCount} / ${files.length} files viewed`;
+        }
+    },
+
+    /**
+     * Save the review comments of the current diff
+     */
+    async saveReviewComments() {
+        const review = this.review;
+        review.index = window.ReviewComments.indexThreads(review.threads);
+        this.updateCommentCount();
+        if (!review.hash) return;
+
+        try {
+            await window.ReviewStore.put('comments', {
+                diffHash: review.hash,
+                threads: review.threads,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            this.showMessage('Failed to save comments: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Get what a comment on one side of a line is anchored to
+     * @param {Object} file - File the line belongs to
+     * @param {Object} line - Diff line
+     * @param {string} side - 'old' or 'new'
+     * @returns {Object|null} { path, side, line, commit }, or null when that side has no line number
+     */
+    getCommentAnchor(file, line, side) {
+        const lineNumber = side === 'old' ? line.oldLineNumber : line.newLineNumber;
+
+        // Lines of merge commits are commented on by their number in the result
+        if (!lineNumber || (file.combined && side === 'old')) {
+            return null;
+        }
+
+        const commits = this.currentDiff && this.currentDiff.commits;
+        return {
+            path: side === 'old' ? file.oldPath || file.newPath : file.newPath || file.oldPath,
+            side,
+            line: lineNumber,
+            commit: commits && file.commitIndex !== undefined ? commits[file.commitIndex].sha : null
+        };
+    },
+
+    /**
+     * Get the anchor key of one side of a line if it has threads or a new comment being written
+     * @returns {string|null} Anchor key, or null
+     */
+    getCommentKey(file, line, side) {
+        const anchor = this.getCommentAnchor(file, line, side);
+        if (!anchor) return null;
+
+        const key = window.ReviewComments.getAnchorKey(anchor);
+        const draft = this.commentDraft;
+        return this.review.index.has(key) || (draft && !draft.threadId && draft.key === key) ? key : null;
+    },
+
+    /**
+     * Attributes that make a line number cell start a comment when clicked
+     * @param {Object} line - Diff line
+     * @param {string} side - 'old' or 'new'
+     */
+    renderCommentTrigger(line, side) {
+        const lineNumber = side === 'old' ? line.oldLineNumber : line.newLineNumber;
+        if (!lineNumber || !['added', 'removed', 'unchanged'].includes(line.type)) {
+            return '';
+        }
+        return ` data-comment-side="${side}" onclick="window.DiffViewer.clickLineNumber(this, event)" title="Comment on this line, or Shift-click to select lines"`;
+    },
+
+    /**
+     * Handle a click on a line number: comment on the line, or with Shift select lines
+     * @param {HTMLElement} cell - Line number cell with data-comment-side
+     * @param {MouseEvent} event - Click
+     */
+    clickLineNumber(cell, event) {
+        if (event.shiftKey) {
+            this.selectLines(cell);
+        } else {
+            this.startComment(cell);
+        }
+    },
+
+    /**
+     * Open the comment form below a line, from a click on its line number
+     * @param {HTMLElement} cell - Line number cell with data-comment-side
+     */
+    startComment(cell) {
+        const rowElement = cell.closest('.virtual-row');
+        const listElement = cell.closest('.virtual-list');
+        if (!rowElement || !listElement || !this.virtual) return;
+
+        if (!this.review) {
+            this.showMessage('Comments can be added once the diff has finished loading.', 'info');
+            return;
+        }
+
+        const rowIndex = Number(rowElement.dataset.row);
+        const line = (listElement.dataset.panel === 'modified' ? this.virtual.pairRows : this.virtual.rows)[rowIndex];
+        const file = this.virtual.files[this.findRowSegment(rowIndex).fileIndex];
+        const anchor = this.getCommentAnchor(file, line, cell.dataset.commentSide);
+        if (!anchor) return;
+
+        anchor.lineType = line.type;
+        anchor.lineContent = line.content;
+        this.commentDraft = { key: window.ReviewComments.getAnchorKey(anchor), anchor, threadId: null, text: '' };
+        this.rebuildVirtualRows();
+        this.focusCommentInput();
+    },
+
+    /**
+     * Open the reply form of a thread
+     * @param {string} threadId - Thread to reply to
+     */
+    replyToThread(threadId) {
+        this.commentDraft = { key: null, anchor: null, threadId, text: '' };
+        this.rebuildVirtualRows();
+        this.focusCommentInput();
+    },
+
+    /**
+     * Save the comment being written, as a new thread or a reply
+     */
+    submitComment() {
+        const draft = this.commentDraft;
+        const body = draft ? draft.text.trim() : '';
+        if (!body) {
+            this.showMessage('Please write a comment first.', 'warning');
+            return;
+        }
+
+        if (draft.threadId) {
+            const thread = this.review.threads.find(item => item.id === draft.threadId);
+            if (thread) {
+                window.ReviewComments.addReply(thread, body);
+            }
+        } else {
+            window.ReviewComments.addThread(this.review.threads, draft.anchor, body);
+        }
+
+        this.commentDraft = null;
+        this.saveReviewComments();
+        this.rebuildVirtualRows();
+    },
+
+    /**
+     * Close the comment form without saving
+     */
+    cancelComment() {
+        this.commentDraft = null;
+        this.rebuildVirtualRows();
+    },
+
+    /**
+     * Delete a comment after confirmation
+     * @param {string} threadId - Thread of the comment
+     * @param {string} commentId - Comment to delete
+     */
+    deleteComment(threadId, commentId) {
+        if (!confirm('Delete this comment?')) return;
+
+        window.ReviewComments.removeComment(this.review.threads, threadId, commentId);
+        this.saveReviewComments();
+        this.rebuildVirtualRows();
+    },
+
+    /**
+     * Focus the comment form once it is rendered
+     */
+    focusCommentInput() {
+        const input = document.querySelector('#diff-content .review-comment-input');
+        if (input) {
+            input.focus();
+        }
+    },
+
+    /**
+     * Render the comment threads below a line, and the form for a new one
+     * @param {Object} row - { kind: 'comments', fileIndex, keys } row
+     */
+    renderCommentRow(row) {
+        if (row.keys.length === 0) return '';
+
+        const draft = this.commentDraft;
+        let html = '<div class="review-comments">';
+        row.keys.forEach(key => {
+            (this.review.index.get(key) || []).forEach(thread => {
+                html += this.renderCommentThread(thread);
+            });
+            if (draft && !draft.threadId && draft.key === key) {
+                html += `<div class="review-thread">${this.renderCommentForm('Comment')}</div>`;
+            }
+        });
+        return html + '</div>';
+    },
+
+    /**
+     * Render a comment thread with its reply button or form
+     */
+    renderCommentThread(thread) {
+        let html = '<div class="review-thread">';
+        thread.comments.forEach(comment => {
+            html += '<div class="review-comment">';
+            html += '<div class="review-comment-meta">';
+            html += `<span>${this.escapeHtml(new Date(comment.createdAt).toLocaleString())}</span>`;
+            html += `<button type="button" class="review-comment-delete" onclick="window.DiffViewer.deleteComment('${thread.id}', '${comment.id}')">Delete</button>`;
+            html += '</div>';
+            html += `<div class="review-comment-body">${this.escapeHtml(comment.body)}</div>`;
+            html += '</div>';
+        });
+
+        if (this.commentDraft && this.commentDraft.threadId === thread.id) {
+            html += this.renderCommentForm('Reply');
+        } else {
+            html += `<button type="button" class="review-thread-reply" onclick="window.DiffViewer.replyToThread('${thread.id}')">Reply</button>`;
+        }
+        return html + '</div>';
+    },
+
+    /**
+     * Render the form for the comment being written. Its text lives in commentDraft
+     * so it survives the row scrolling out of the rendered window.
+     * @param {string} submitLabel - Label of the submit button
+     */
+    renderCommentForm(submitLabel) {
+        return '<div class="review-comment-form">' +
+               `<textarea class="review-comment-input" rows="3" placeholder="Leave a comment (Ctrl+Enter to save)" ` +
+               `oninput="window.DiffViewer.commentDraft.text = this.value" ` +
+               `onkeydown="if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') window.DiffViewer.submitComment(); else if (event.key === 'Escape') window.DiffViewer.cancelComment();">` +
+               `${this.escapeHtml(this.commentDraft.text)}</textarea>` +
+               '<div class="review-comment-form-actions">' +
+               '<button type="button" class="btn-secondary text-sm" onclick="window.DiffViewer.cancelComment()">Cancel</button>' +
+               `<button type="button" class="btn-primary text-sm" onclick="window.DiffViewer.submitComment()">${submitLabel}</button>` +
+               '</div>' +
+               '</div>';
+    },
+
+    /**
+     * Show the number of comments on the export button
+     */
+    updateCommentCount() {
+        const count = document.getElementById('comment-count');
+        if (count) {
+            count.textContent = this.review
+                ? this.review.threads.reduce((total, thread) => total + thread.comments.length, 0)
+                : 0;
+        }
+    },
+
+    /**
+     * Export the review comments of the current diff
+     * @param {string} format - 'markdown' or 'json'
+     * @param {string} action - 'copy' or 'download'
+     */
+    async exportComments(format, action) {
+        if (!this.review || this.review.threads.length === 0) {
+            this.showMessage('No comments to export. Click a line number to add one.', 'warning');
+            return;
+        }
+
+        const content = format === 'json'
+            ? window.ReviewComments.toJson(this.review.threads, this.review.hash)
+            : window.ReviewComments.toMarkdown(this.review.threads);
+
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(content);
+                this.showMessage('Comments copied to clipboard!', 'success');
+            } catch (error) {
+                this.showMessage('Failed to copy to clipboard', 'error');
+            }
+            return;
+        }
+
+        const extension = format === 'json' ? 'json' : 'md';
+        const type = format === 'json' ? 'application/json' : 'text/markdown';
+        this.downloadText(content, `review-comments-${this.getTimestamp()}.${extension}`, type);
+    },
+
+    /**
+     * Pair removed and added lines of a hunk and record their changed character
+     * ranges for intra-line highlighting. Work stops once the given line is
+     * covered and resumes from there on the next call.
+     * @param {Object} hunk - Hunk to annotate
+     * @param {number} uptoLine - Index of the last hunk line that needs annotating
+     */
+    annotateHunkInlineChanges(hunk, uptoLine = hunk.lines.length - 1) {
+        const granularity = this.inlineDiffGranularity;
+
+        if (!hunk.inlineProgress || hunk.inlineProgress.granularity !== granularity) {
+            hunk.inlineProgress = { granularity, index: 0 };
+            hunk.lines.forEach(line => {
+                line.inlineChanges = null;
+            });
+        }
+
+        if (granularity === 'none' || hunk.combined) {
+            return;
+        }
+
+        // Pair the n-th removed line of a change block with its n-th added line
+        const lines = hunk.lines;
+        let i = hunk.inlineProgress.index;
+        while (i < lines.length && i <= uptoLine) {
+            const removed = [];
+            const added = [];
+            while (i < lines.length && lines[i].type === 'removed') {
+                removed.push(lines[i++]);
+            }
+            while (i < lines.length && lines[i].type === 'added') {
+                added.push(lines[i++]);
+            }
+            if (removed.length === 0 && added.length === 0) {
+                i++;
+                continue;
+            }
+
+            for (let pair = 0; pair < Math.min(removed.length, added.length); pair++) {
+                const changes = window.DiffAlgorithm.computeInlineChanges(removed[pair].content, added[pair].content, granularity);
+                if (changes) {
+                    removed[pair].inlineChanges = changes.oldRanges;
+                    added[pair].inlineChanges = changes.newRanges;
+                }
+            }
+        }
+        hunk.inlineProgress.index = i;
+    },
+
+    /**
+     * Get the language of a file from its path; a deleted file's is its old path
+     */
+    getFileLanguage(file) {
+        return window.DiffParser.getFileType(file.newPath || file.oldPath);
+    },
+
+    /**
+     * Tokenize hunk lines for syntax highlighting. The old and new sides each keep
+     * their own tokenizer state so block comments and multi-line strings carry
+     * across the lines of a hunk; context lines advance both. Like
+     * annotateHunkInlineChanges, it only goes as far as needed.
+     * @param {Object} hunk - Hunk to annotate
+     * @param {Object} file - File the hunk belongs to, for its language
+     * @param {number} uptoLine - Index of the last hunk line that needs annotating
+     */
+    annotateHunkSyntax(hunk, file, uptoLine = hunk.lines.length - 1) {
+        const language = this.getFileLanguage(file);
+        const enabled = this.syntaxHighlighting && window.SyntaxHighlighter.supports(language);
+        const key = enabled ? language : null;
+
+        // Code between hunks is not in the diff, so each hunk starts fresh
+        if (!hunk.syntaxProgress || hunk.syntaxProgress.key !== key) {
+            hunk.syntaxProgress = { key, index: 0, oldState: null, newState: null };
+            hunk.lines.forEach(line => {
+                line.syntaxTokens = null;
+                line.oldSyntaxTokens = null;
+            });
+        }
+
+        if (!enabled) {
+            return;
+        }
+
+        const progress = hunk.syntaxProgress;
+        let { oldState, newState } = progress;
+        for (; progress.index < hunk.lines.length && progress.index <= uptoLine; progress.index++) {
+            const line = hunk.lines[progress.index];
+
+            if (line.type === 'removed') {
+                const result = window.SyntaxHighlighter.tokenizeLine(line.content, language, oldState);
+                line.syntaxTokens = result.tokens;
+                oldState = result.state;
+            } else if (line.type === 'added') {
+                const result = window.SyntaxHighlighter.tokenizeLine(line.content, language, newState);
+                line.syntaxTokens = result.tokens;
+                newState = result.state;
+            } else {
+                const newResult = window.SyntaxHighlighter.tokenizeLine(line.content, language, newState);
+                const oldResult = JSON.stringify(oldState) === JSON.stringify(newState)
+                    ? newResult
+                    : window.SyntaxHighlighter.tokenizeLine(line.content, language, oldState);
+                line.syntaxTokens = newResult.tokens;
+                // Only kept when the old side reads the line differently
+                line.oldSyntaxTokens = oldResult === newResult ? null : oldResult.tokens;
+                newState = newResult.state;
+                oldState = oldResult.state;
+            }
+        }
+        progress.oldState = oldState;
+        progress.newState = newState;
+    },
+
+    /**
+     * Render line content as HTML, coloring syntax tokens, emphasizing intra-line changes
+     * and marking search matches
+     * @param {Object} line - Line to render
+     * @param {string} side - 'original' when rendered in the old panel of side-by-side view
+     */
+    renderLineContent(line, side = null) {
+        const content = line.content;
+        const ranges = line.inlineChanges || [];
+        const tokens = (side === 'original' && line.oldSyntaxTokens) || line.syntaxTokens || [];
+        const matches = (this.search && this.search.lineMatches.get(line)) || [];
+
+        if (ranges.length === 0 && tokens.length === 0 && matches.length === 0) {
+            return this.escapeHtml(content);
+        }
+
+        // Split the line wherever a token, a changed range or a match starts or ends
+        const boundaries = new Set([0, content.length]);
+        ranges.forEach(([start, end]) => boundaries.add(start).add(end));
+        tokens.forEach(token => boundaries.add(token.start).add(token.end));
+        matches.forEach(match => boundaries.add(match.start).add(match.end));
+        const points = [...boundaries].filter(point => point <= content.length).sort((a, b) => a - b);
+
+        // Change spans wrap token spans so token colors win inside highlighted ranges
+        // Tokens, ranges and matches are sorted and disjoint, so walk them alongside the segments
+        let html = '';
+        let inChange = false;
+        let rangeIndex = 0;
+        let tokenIndex = 0;
+        let matchIndex = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            while (rangeIndex < ranges.length && ranges[rangeIndex][1] <= start) rangeIndex++;
+            while (tokenIndex < tokens.length && tokens[tokenIndex].end <= start) tokenIndex++;
+            while (matchIndex < matches.length && matches[matchIndex].end <= start) matchIndex++;
+            const changed = rangeIndex < ranges.length && ranges[rangeIndex][0] <= start;
+            const token = tokenIndex < tokens.length && tokens[tokenIndex].start <= start ? tokens[tokenIndex] : null;
+            const match = matchIndex < matches.length && matches[matchIndex].start <= start ? matches[matchIndex] : null;
+
+            if (changed !== inChange) {
+                html += changed ? '<span class="diff-inline-change">' : '</span>';
+                inChange = changed;
+            }
+
+            const text = this.escapeHtml(content.substring(start, end));
+            const segment = token ? `<span class="syntax-${token.type}">${text}</span>` : text;
+            html += match
+                ? `<mark class="diff-search-match${match.index === this.search.current ? ' current' : ''}">${segment}</mark>`
+                : segment;
+        }
+        if (inChange) {
+            html += '</span>';
+        }
+
+        return html;
+    },
+
+    /**
+     * Search again once typing pauses
+     */
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.updateSearch(), 150);
+    },
+
+    /**
+     * Find every match of the search bar in the displayed files, collapsed ones included,
+     * and highlight them
+     * @param {Array|null} files - Files about to be displayed, or null to search the
+     *                           windowed view and redraw it
+     */
+    updateSearch(files = null) {
+        clearTimeout(this.searchTimer);
+        const refresh = files === null;
+        if (refresh) {
+            files = this.virtual ? this.virtual.files : [];
+        }
+        const input = document.getElementById('search-input');
+        const query = input ? input.value : '';
+
+        const pattern = this.buildSearchPattern(query);
+        if (input) {
+            input.classList.toggle('invalid', pattern === null && query !== '');
+        }
+
+        if (!pattern) {
+            const hadMatches = this.search !== null;
+            this.search = null;
+            this.updateSearchCount(query ? 'Invalid pattern' : '');
+            if (hadMatches && refresh) {
+                this.refreshVirtualWindow();
             }
-            html += `</div>`;
-            html += `</div>`;
-            
-            // Collapsible content
-            html += `<div class="file-collapse-content ${isCollapsed ? 'collapsed' : ''}" id="file-content-${index}">`;
-            
+            return;
+        }
+
+        const types = new Set(Array.from(document.querySelectorAll('[data-search-type]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.searchType));
+        const filesInput = document.getElementById('search-files');
+        const filePatterns = window.FolderCompare.parsePatterns(filesInput ? filesInput.value : '');
+
+        const search = { matches: [], lineMatches: new Map(), current: -1, limited: false };
+        files.forEach((file, fileIndex) => {
+            if (search.limited || this.isFileHidden(file) || !this.matchesFileFilter(file, filePatterns)) return;
+
             file.hunks.forEach(hunk => {
-                html += this.renderHunkHeader(hunk);
-                html += this.renderHunkLinesUnified(hunk);
+                hunk.lines.forEach(line => {
+                    if (search.limited || !types.has(line.type)) return;
+
+                    pattern.lastIndex = 0;
+                    for (let found = pattern.exec(line.content); found; found = pattern.exec(line.content)) {
+                        // Empty matches would never advance
+                        if (found[0].length === 0) {
+                            pattern.lastIndex++;
+                            continue;
+                        }
+
+                        const match = { index: search.matches.length, fileIndex, line, start: found.index, end: found.index + found[0].length };
+                        search.matches.push(match);
+                        if (!search.lineMatches.has(line)) {
+                            search.lineMatches.set(line, []);
+                        }
+                        search.lineMatches.get(line).push(match);
+
+                        if (search.matches.length >= this.maxSearchMatches) {
+                            search.limited = true;
+                            break;
+                        }
+                    }
+                });
             });
-            
-            html += '</div>'; // Close file-collapse-content
-            html += '</div>'; // Close unified-file-container
         });
 
-        return html;
+        this.search = search;
+        this.updateSearchCount();
+        if (refresh) {
+            this.refreshVirtualWindow();
+        }
     },
 
     /**
-     * Render side-by-side diff view
+     * Build the regular expression for a search query
+     * @param {string} query - Text or pattern typed in the search bar
+     * @returns {RegExp|null} Global pattern, or null when the query is empty or invalid
      */
-    renderSideBySideView(diffData) {
-        let html = '<div class="side-by-side-container">';
-        
-        // Headers
-        html += '<div class="side-by-side-header bg-red-50 text-red-800">';
-        html += '<span class="font-mono text-sm">- Original</span>';
-        html += '</div>';
-        html += '<div class="side-by-side-header bg-green-50 text-green-800">';
-        html += '<span class="font-mono text-sm">+ Modified</span>';
-        html += '</div>';
-        
-        // Content panels
-        html += '<div class="side-by-side-panel" id="left-panel">';
-        html += '<div class="side-by-side-content">';
-        
-        html += '</div></div>';
-        html += '<div class="side-by-side-panel" id="right-panel">';
-        html += '<div class="side-by-side-content">';
+    buildSearchPattern(query) {
+        if (!query) return null;
 
-        // Build synchronized content
-        let leftContent = '';
-        let rightContent = '';
+        const regexToggle = document.getElementById('search-regex');
+        const caseToggle = document.getElementById('search-case');
+        const isRegex = regexToggle && regexToggle.getAttribute('aria-pressed') === 'true';
+        const caseSensitive = caseToggle && caseToggle.getAttribute('aria-pressed') === 'true';
 
-        diffData.files.forEach((file, index) => {
-            const sideBySideData = this.prepareSideBySideData(file);
-            const stats = this.getFileStats(file);
-            const fileName = file.newPath || file.oldPath || 'Unknown file';
-            const isCollapsed = !this.expandAllFiles;
-            
-            // Add file headers with anchors (collapsible)
-            leftContent += `<div class="diff-file-anchor" id="file-${index}"></div>`;
-            
-            // Left header
-            leftContent += `<div class="file-collapse-header" onclick="window.DiffViewer.toggleFileCollapse(${index})">`;
-            leftContent += `<div class="file-collapse-toggle">`;
-            leftContent += `<svg class="file-collapse-icon ${isCollapsed ? 'collapsed' : ''}" id="collapse-icon-left-${index}" fill="none" stroke="currentColor" viewBox="0 0 24 24">`;
-            leftContent += `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/>`;
-            leftContent += `</svg>`;
-            leftContent += `<span class="mr-2">${this.getFileTypeIcon(window.DiffParser.getFileType(fileName))}</span>`;
-            leftContent += `<span>${this.escapeHtml(fileName)}</span>`;
-            leftContent += `</div>`;
-            leftContent += `<div class="file-stats-badge">`;
-            if (stats.additions > 0) {
-                leftContent += `<span class="file-stats-additions">+${stats.additions}</span>`;
-            }
-            if (stats.deletions > 0) {
-                leftContent += `<span class="file-stats-deletions">-${stats.deletions}</span>`;
-            }
-            leftContent += `</div>`;
-            leftContent += `</div>`;
-            
-            // Right header (same collapsible structure as left)
-            rightContent += `<div class="file-collapse-header" onclick="window.DiffViewer.toggleFileCollapse(${index})">`;
-            rightContent += `<div class="file-collapse-toggle">`;
-            rightContent += `<svg class="file-collapse-icon ${isCollapsed ? 'collapsed' : ''}" id="collapse-icon-right-${index}" fill="none" stroke="currentColor" viewBox="0 0 24 24">`;
-            rightContent += `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/>`;
-            rightContent += `</svg>`;
-            rightContent += `<span class="mr-2">${this.getFileTypeIcon(window.DiffParser.getFileType(fileName))}</span>`;
-            rightContent += `<span>${this.escapeHtml(fileName)}</span>`;
-            rightContent += `</div>`;
-            rightContent += `<div class="file-stats-badge">`;
-            if (stats.additions > 0) {
-                rightContent += `<span class="file-stats-additions">+${stats.additions}</span>`;
-            }
-            if (stats.deletions > 0) {
-                rightContent += `<span class="file-stats-deletions">-${stats.deletions}</span>`;
-            }
-            rightContent += `</div>`;
-            rightContent += `</div>`;
-            
-            // Start collapsible content
-            leftContent += `<div class="file-collapse-content ${isCollapsed ? 'collapsed' : ''}" id="file-content-left-${index}">`;
-            rightContent += `<div class="file-collapse-content ${isCollapsed ? 'collapsed' : ''}" id="file-content-right-${index}">`;
-            
-            // Add content ensuring same number of lines
-            const maxLines = Math.max(sideBySideData.original.length, sideBySideData.modified.length);
-            
-            for (let i = 0; i < maxLines; i++) {
-                const leftLine = sideBySideData.original[i] || { type: 'empty', content: '', side: 'original' };
-                const rightLine = sideBySideData.modified[i] || { type: 'empty', content: '', side: 'modified' };
-                
-                leftContent += this.renderSingleLine(leftLine, 'original');
-                rightContent += this.renderSingleLine(rightLine, 'modified');
-            }
-            
-            // Close collapsible content
-            leftContent += '</div>';
-            rightContent += '</div>';
-        });
+        try {
+            const source = isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(source, caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            return null;
+        }
+    },
 
-        // Insert content and close
-        html = html.replace('<div class="side-by-side-content">', '<div class="side-by-side-content">' + leftContent);
-        html += rightContent + '</div></div>';
-        html += '</div>';
-        
-        // Add scroll synchronization after rendering
-        setTimeout(() => {
-            this.setupScrollSync();
-            this.synchronizeHeights();
-            this.setupSideBySideCollapse();
-        }, 100);
-        
-        return html;
+    /**
+     * Check a file against a list of path filters: globs, or plain text found anywhere
+     * in the path
+     * @param {Object} file - Diff file
+     * @param {Array} patterns - Filters; an empty list lets every file through
+     * @returns {boolean} Whether the file matches any filter
+     */
+    matchesFileFilter(file, patterns) {
+        if (patterns.length === 0) return true;
+
+        const paths = [file.newPath, file.oldPath].filter(path => path && path !== '/dev/null');
+        return patterns.some(pattern => paths.some(path => /[*?]/.test(pattern)
+            ? window.FolderCompare.matchesGlob(path, pattern)
+            : path.toLowerCase().includes(pattern.toLowerCase())));
     },
 
     /**
-     * Prepare data for side-by-side view
+     * Show the number of matches and which one is current
+     * @param {string} message - Text to show instead, e.g. for an invalid pattern
      */
-    prepareSideBySideData(file) {
-        const original = [];
-        const modified = [];
+    updateSearchCount(message = '') {
+        const count = document.getElementById('search-count');
+        const hasMatches = !!(this.search && this.search.matches.length > 0);
 
-        file.hunks.forEach(hunk => {
-            hunk.lines.forEach(line => {
-                switch (line.type) {
-                    case 'unchanged':
-                        original.push({ ...line, side: 'both' });
-                        modified.push({ ...line, side: 'both' });
-                        break;
-                    case 'removed':
-                        original.push({ ...line, side: 'original' });
-                        modified.push({ type: 'empty', content: '', side: 'modified' });
-                        break;
-                    case 'added':
-                        original.push({ type: 'empty', content: '', side: 'original' });
-                        modified.push({ ...line, side: 'modified' });
-                        break;
-                }
-            });
+        if (count) {
+            if (!this.search) {
+                count.textContent = message;
+            } else {
+                const total = this.search.matches.length + (this.search.limited ? '+' : '');
+                count.textContent = this.search.current >= 0
+                    ? `${this.search.current + 1} of ${total}`
+                    : `${total} ${this.search.matches.length === 1 ? 'match' : 'matches'}`;
+            }
+        }
+
+        ['search-prev', 'search-next'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !hasMatches;
+            }
         });
+    },
+
+    /**
+     * Move to the next or previous search match
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    stepSearchMatch(direction) {
+        if (!this.search || this.search.matches.length === 0) return;
+
+        const count = this.search.matches.length;
+        const current = this.search.current < 0 && direction < 0 ? 0 : this.search.current;
+        this.goToSearchMatch((current + direction + count) % count);
+    },
+
+    /**
+     * Scroll to a search match, expanding its file if it is collapsed
+     * @param {number} index - Index of the match
+     */
+    goToSearchMatch(index) {
+        const match = this.search.matches[index];
+        this.search.current = index;
 
-        // Ensure both arrays have the same length
-        const maxLength = Math.max(original.length, modified.length);
-        while (original.length < maxLength) {
-            original.push({ type: 'empty', content: '', side: 'original' });
+        if (this.collapsedFiles.has(match.fileIndex)) {
+            this.toggleFileCollapse(match.fileIndex);
         }
-        while (modified.length < maxLength) {
-            modified.push({ type: 'empty', content: '', side: 'modified' });
+
+        const rowIndex = this.findLineRow(match.fileIndex, match.line);
+        if (rowIndex !== -1) {
+            this.scrollToRow(Math.max(this.virtual.fileStarts[match.fileIndex], rowIndex - 5));
         }
 
-        return { original, modified };
+        this.updateSearchCount();
+        this.refreshVirtualWindow();
     },
 
     /**
-     * Render side-by-side panel
+     * Find the row showing a line of a file in the windowed view
+     * @returns {number} Row index, or -1
      */
-    renderSideBySidePanel(lines, side) {
-        let html = '';
-        
-        lines.forEach(line => {
-            html += this.renderSingleLine(line, side);
-        });
+    findLineRow(fileIndex, line) {
+        const { rows, pairRows, fileStarts } = this.virtual;
+        const end = fileIndex + 1 < fileStarts.length ? fileStarts[fileIndex + 1] : rows.length;
+        for (let index = fileStarts[fileIndex]; index < end; index++) {
+            if (rows[index] === line || (pairRows && pairRows[index] === line)) {
+                return index;
+            }
+        }
+        return -1;
+    },
 
-        return html;
+    /**
+     * Follow a changed fragment: load a newly shared diff or go to the linked lines
+     */
+    async handleHashChange() {
+        this.pendingAnchor = window.ShareLink.parseAnchor(window.location);
+
+        const diff = this.currentDiff;
+        await this.loadSharedDiffIfPresent();
+        // A newly shared diff goes to the lines once it has loaded
+        if (this.currentDiff === diff) {
+            this.applyPendingAnchor();
+        }
     },
 
     /**
-     * Render a single line for side-by-side view
+     * Select the line of a line number cell, or extend the selection in its file to it
+     * @param {HTMLElement} cell - Line number cell with data-comment-side
      */
-    renderSingleLine(line, side) {
-        if (line.type === 'empty') {
-            return '<div class="diff-line diff-line-empty">' +
-                   '<div class="diff-line-number"></div>' +
-                   '<div class="diff-line-content">&nbsp;</div>' +
-                   '</div>';
+    selectLines(cell) {
+        const rowElement = cell.closest('.virtual-row');
+        const listElement = cell.closest('.virtual-list');
+        if (!rowElement || !listElement || !this.virtual) return;
+
+        const rowIndex = Number(rowElement.dataset.row);
+        const line = (listElement.dataset.panel === 'modified' ? this.virtual.pairRows : this.virtual.rows)[rowIndex];
+        const file = this.virtual.files[this.findRowSegment(rowIndex).fileIndex];
+        const selection = this.lineSelection;
+        let side = cell.dataset.commentSide;
+        // Unchanged lines are on both sides; extend the selection on the side it is on
+        if (selection && selection.file === file && this.getLineNumberOnSide(line, selection.side)) {
+            side = selection.side;
+        }
+        const number = this.getLineNumberOnSide(line, side);
+        if (!number) return;
+
+        // Shift-click also selects the text in between
+        const textSelection = window.getSelection ? window.getSelection() : null;
+        if (textSelection) {
+            textSelection.removeAllRanges();
+        }
+
+        if (selection && selection.file === file && selection.side === side) {
+            if (selection.start === number && selection.end === number) {
+                this.lineSelection = null;
+            } else {
+                const from = selection.from;
+                this.lineSelection = { file, side, start: Math.min(from, number), end: Math.max(from, number), from };
+            }
         } else {
-            const lineClass = this.getDiffLineClass(line.type);
-            return `<div class="diff-line ${lineClass}">` +
-                   `<div class="diff-line-number">${this.getLineNumber(line, side)}</div>` +
-                   `<div class="diff-line-content">${this.escapeHtml(line.content)}</div>` +
-                   '</div>';
+            this.lineSelection = { file, side, start: number, end: number, from: number };
         }
+
+        this.updateVirtualWindow(true);
+        this.updateLineAnchorUrl();
     },
 
     /**
-     * Get line number for display
+     * Get a line's number in the old or new file
+     * @returns {number|null} Line number, null when the line is not on that side
      */
-    getLineNumber(line, side) {
-        if (side === 'original') {
-            return line.oldLineNumber || '';
-        } else if (side === 'modified') {
-            return line.newLineNumber || '';
+    getLineNumberOnSide(line, side) {
+        if (side === 'old') {
+            return line.type !== 'added' ? line.oldLineNumber || null : null;
         }
-        return line.oldLineNumber || line.newLineNumber || '';
+        return line.type !== 'removed' ? line.newLineNumber || null : null;
     },
 
     /**
-     * Render file header
+     * Whether a line is in the selected line range
+     * @param {string} panel - 'unified', 'original' or 'modified'
      */
-    renderFileHeader(file, side = null) {
-        const fileName = file.newPath || file.oldPath || 'Unknown file';
-        const fileType = window.DiffParser.getFileType(fileName);
-        
-        let headerText = fileName;
-        if (file.type === 'new') {
-            headerText = `${fileName} (new file)`;
-        } else if (file.type === 'deleted') {
-            headerText = `${fileName} (deleted)`;
+    isLineSelected(file, line, panel) {
+        const selection = this.lineSelection;
+        if (!selection || selection.file !== file || !line) return false;
+        // Side-by-side panels each show one side's line numbers
+        if ((panel === 'original' && selection.side === 'new') || (panel === 'modified' && selection.side === 'old')) {
+            return false;
         }
 
-        return `
-            <div class="diff-file-header">
-                <span class="mr-2">${this.getFileTypeIcon(fileType)}</span>
-                ${this.escapeHtml(headerText)}
-            </div>
-        `;
+        const number = this.getLineNumberOnSide(line, selection.side);
+        return number !== null && number >= selection.start && number <= selection.end;
     },
 
     /**
-     * Render hunk header
+     * Get the selected lines as a link anchor
+     * @returns {Object|null} { path, side, start, end }, see ShareLink.parseAnchor
      */
-    renderHunkHeader(hunk) {
-        return `
-            <div class="diff-hunk-header">
-                ${this.escapeHtml(hunk.header)}
-                ${hunk.context ? ` ${this.escapeHtml(hunk.context)}` : ''}
-            </div>
-        `;
+    getLineAnchor() {
+        const selection = this.lineSelection;
+        if (!selection) return null;
+
+        const path = selection.file.newPath || selection.file.oldPath;
+        return { path, side: selection.side, start: selection.start, end: selection.end };
+    },
+
+    /**
+     * Put the selected lines in the page URL, keeping a shared diff's parameters
+     */
+    updateLineAnchorUrl() {
+        const fragment = window.ShareLink.setAnchor(window.location.hash, this.getLineAnchor());
+        // Replacing the URL does not fire hashchange, so the diff is not loaded again
+        history.replaceState(null, '', fragment ? `#${fragment}` : window.location.pathname + window.location.search);
+    },
+
+    /**
+     * Go to the file and lines the URL pointed at, once
+     */
+    applyPendingAnchor() {
+        const anchor = this.pendingAnchor;
+        this.pendingAnchor = null;
+        if (anchor && this.virtual) {
+            this.goToLineAnchor(anchor);
+        }
+    },
+
+    /**
+     * Scroll to a file and select its linked lines, expanding the file if it is collapsed
+     * @param {Object} anchor - { path, side, start, end }, see ShareLink.parseAnchor
+     */
+    goToLineAnchor(anchor) {
+        const files = this.virtual.files;
+        const fileIndex = files.findIndex(file => file.newPath === anchor.path || file.oldPath === anchor.path);
+        if (fileIndex === -1) {
+            this.showMessage(`The linked file ${anchor.path} is not in this diff.`, 'warning');
+            return;
+        }
+
+        const file = files[fileIndex];
+        if (this.isFileHidden(file)) {
+            this.showMessage(`The linked file ${anchor.path} is hidden by the file filter.`, 'warning');
+            return;
+        }
+
+        this.lineSelection = anchor.start
+            ? { file, side: anchor.side, start: anchor.start, end: anchor.end, from: anchor.start }
+            : null;
+        this.collapsedFiles.delete(fileIndex);
+        this.rebuildVirtualRows();
+        this.setActiveSidebarFile(fileIndex);
+
+        // The first displayed line of the range; lines outside the hunks are not in the diff
+        const { rows, pairRows, fileStarts } = this.virtual;
+        const end = fileIndex + 1 < fileStarts.length ? fileStarts[fileIndex + 1] : rows.length;
+        let target = fileStarts[fileIndex];
+        for (let index = fileStarts[fileIndex]; index < end; index++) {
+            if (this.getRowKind(rows[index]) !== 'line') continue;
+            if (this.isLineSelected(file, rows[index], 'unified') || (pairRows && this.isLineSelected(file, pairRows[index], 'unified'))) {
+                target = index;
+                break;
+            }
+        }
+        this.scrollToRow(target, 'auto');
+    },
+
+    /**
+     * Handle the single-key review shortcuts: j/k change blocks, n/p files, x collapse,
+     * v viewed and ? for the list. Keys typed into inputs are left alone.
+     */
+    handleShortcutKey(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const target = e.target;
+        if (target && target.closest && target.closest('input, textarea, select, [contenteditable]')) return;
+
+        const shortcutsModal = document.getElementById('shortcuts-modal');
+        if (shortcutsModal && !shortcutsModal.classList.contains('hidden')) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.toggleShortcutsModal(false);
+            }
+            return;
+        }
+
+        const diffOutput = document.getElementById('diff-output');
+        if (!this.virtual || !diffOutput || diffOutput.classList.contains('hidden')) return;
+
+        const actions = {
+            j: () => this.stepChangeBlock(1),
+            k: () => this.stepChangeBlock(-1),
+            n: () => this.stepFile(1),
+            p: () => this.stepFile(-1),
+            x: () => this.toggleFocusedFileCollapse(),
+            v: () => this.toggleFocusedFileViewed(),
+            '?': () => this.toggleShortcutsModal(true)
+        };
+        const action = actions[e.key];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    },
+
+    /**
+     * Show or hide the keyboard shortcut list
+     */
+    toggleShortcutsModal(show) {
+        const modal = document.getElementById('shortcuts-modal');
+        if (modal) {
+            modal.classList.toggle('hidden', !show);
+        }
+    },
+
+    /**
+     * Find the row the keyboard focus is on in the windowed view. A focused line that is
+     * not displayed, e.g. in a collapsed file, falls back to its file's header.
+     * @returns {number} Row index, or -1 when nothing displayed has the focus
+     */
+    getKeyboardFocusRow() {
+        const virtual = this.virtual;
+        const focus = this.keyboardFocus;
+        if (!virtual || !focus) return -1;
+
+        // Resolved once per row model
+        if (virtual.focus !== focus) {
+            const fileIndex = virtual.files.indexOf(focus.file);
+            let row = -1;
+            if (fileIndex !== -1 && !this.isFileHidden(focus.file)) {
+                row = focus.line ? this.findLineRow(fileIndex, focus.line) : -1;
+                if (row === -1) {
+                    row = virtual.fileStarts[fileIndex];
+                }
+            }
+            virtual.focus = focus;
+            virtual.focusRow = row;
+        }
+        return virtual.focusRow;
+    },
+
+    /**
+     * Get the row keyboard navigation starts from: the focused one, else the one at the
+     * top of the screen
+     * @returns {Object} { row, focused }
+     */
+    getKeyboardPosition() {
+        const focusRow = this.getKeyboardFocusRow();
+        if (focusRow !== -1) {
+            return { row: focusRow, focused: true };
+        }
+
+        const list = this.virtual.lists[0];
+        const top = list ? list.element.getBoundingClientRect().top : 0;
+        return { row: this.findRowAtOffset(Math.max(0, 100 - top)), focused: false };
+    },
+
+    /**
+     * Move the keyboard focus to a file header or line, scrolling it into view
+     * @param {number} fileIndex - Index of the file in the displayed diff
+     * @param {Object|null} line - Line to focus, null for the file header
+     */
+    setKeyboardFocus(fileIndex, line) {
+        this.keyboardFocus = { file: this.virtual.files[fileIndex], line };
+        this.revealKeyboardFocus();
+        this.refreshVirtualWindow();
+    },
+
+    /**
+     * Scroll the focused row into view unless it already is
+     */
+    revealKeyboardFocus() {
+        const row = this.getKeyboardFocusRow();
+        const list = this.virtual.lists[0];
+        if (row === -1 || !list) return;
+
+        const top = list.element.getBoundingClientRect().top + this.virtual.offsets[row];
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        if (top < 100 || top + this.virtual.heights[row] > viewportHeight) {
+            // Show a few lines above a change for context
+            const fileStart = this.virtual.fileStarts[this.virtual.files.indexOf(this.keyboardFocus.file)];
+            this.scrollToRow(this.keyboardFocus.line ? Math.max(fileStart, row - 3) : row);
+        }
+    },
+
+    /**
+     * Whether a row shows an added or removed line, on either side
+     */
+    isChangeRow(rowIndex) {
+        const { rows, pairRows } = this.virtual;
+        const isChange = row => row.type === 'added' || row.type === 'removed';
+        return isChange(rows[rowIndex]) || (pairRows !== null && isChange(pairRows[rowIndex]));
+    },
+
+    /**
+     * Whether a row starts a block of consecutive changed lines; comment threads
+     * between lines do not split a block
+     */
+    isChangeBlockStart(rowIndex) {
+        if (!this.isChangeRow(rowIndex)) return false;
+
+        let previous = rowIndex - 1;
+        while (previous >= 0 && this.virtual.rows[previous].kind === 'comments') {
+            previous--;
+        }
+        return previous < 0 || !this.isChangeRow(previous);
+    },
+
+    /**
+     * Focus the next or previous block of changes among the expanded files
+     * @param {number} direction - 1 for the next block, -1 for the previous one
+     */
+    stepChangeBlock(direction) {
+        const { rows, pairRows } = this.virtual;
+        const position = this.getKeyboardPosition();
+        let index = direction > 0 && !position.focused ? position.row : position.row + direction;
+
+        for (; index >= 0 && index < rows.length; index += direction) {
+            if (this.isChangeBlockStart(index)) {
+                const row = rows[index].type === 'added' || rows[index].type === 'removed' ? rows[index] : pairRows[index];
+                this.setKeyboardFocus(this.findRowSegment(index).fileIndex, row);
+                return;
+            }
+        }
+    },
+
+    /**
+     * Focus the header of the next or previous file, skipping files the sidebar filter hides
+     * @param {number} direction - 1 for the next file, -1 for the previous one
+     */
+    stepFile(direction) {
+        const { files, rows } = this.virtual;
+        if (rows.length === 0) return;
+
+        const current = this.findRowSegment(this.getKeyboardPosition().row).fileIndex;
+        for (let fileIndex = current + direction; fileIndex >= 0 && fileIndex < files.length; fileIndex += direction) {
+            if (!this.isFileHidden(files[fileIndex])) {
+                this.setActiveSidebarFile(fileIndex);
+                this.setKeyboardFocus(fileIndex, null);
+                return;
+            }
+        }
+    },
+
+    /**
+     * Get the file keyboard shortcuts act on and focus it, keeping a focused line
+     * @returns {number} File index, or -1 when no file is displayed
+     */
+    focusCurrentFile() {
+        if (this.virtual.rows.length === 0) return -1;
+
+        const fileIndex = this.findRowSegment(this.getKeyboardPosition().row).fileIndex;
+        const file = this.virtual.files[fileIndex];
+        const focus = this.keyboardFocus;
+        this.keyboardFocus = { file, line: focus && focus.file === file ? focus.line : null };
+        return fileIndex;
+    },
+
+    /**
+     * Collapse or expand the focused file
+     */
+    toggleFocusedFileCollapse() {
+        const fileIndex = this.focusCurrentFile();
+        if (fileIndex === -1) return;
+
+        this.toggleFileCollapse(fileIndex);
+        this.revealKeyboardFocus();
+    },
+
+    /**
+     * Mark the focused file as viewed, or as not viewed
+     */
+    toggleFocusedFileViewed() {
+        const fileIndex = this.focusCurrentFile();
+        if (fileIndex === -1) return;
+
+        this.setFileViewed(fileIndex, !this.isFileViewed(this.virtual.files[fileIndex]));
+        this.refreshVirtualWindow();
+    },
+
+    /**
+     * Render a line of a combined (merge) diff: one line number column per
+     * parent, then the result's line number and the per-parent state markers
+     */
+    renderCombinedLine(line, parentCount) {
+        const lineClass = this.getDiffLineClass(line.type);
+        let html = `<div class="diff-line diff-line-combined ${lineClass}">`;
+        line.parentLineNumbers.forEach(number => {
+            html += `<div class="diff-line-number">${number || ''}</div>`;
+        });
+        html += `<div class="diff-line-number diff-line-number-result"${this.renderCommentTrigger(line, 'new')}>${line.newLineNumber || ''}</div>`;
+        html += this.renderCombinedStates(line.parentStates, parentCount);
+        html += `<div class="diff-line-content">${this.renderLineContent(line)}${this.renderNoNewlineBadge(line)}</div>`;
+        html += '</div>';
+        return html;
+    },
+
+    /**
+     * Render the per-parent '+' / '-' markers of a combined diff line
+     */
+    renderCombinedStates(states, parentCount) {
+        let html = '<div class="diff-combined-states">';
+        for (let parent = 0; parent < parentCount; parent++) {
+            const state = states ? states[parent] : ' ';
+            const stateClass = state === '+' ? 'added' : state === '-' ? 'removed' : '';
+            html += `<span class="diff-combined-state ${stateClass}" title="Parent ${parent + 1}">${state === ' ' ? '&nbsp;' : state}</span>`;
+        }
+        html += '</div>';
+        return html;
+    },
+
+    /**
+     * Render the column legend shown above a combined diff in unified view
+     */
+    renderCombinedColumnHeader(parentCount) {
+        let html = '<div class="diff-line diff-combined-legend">';
+        for (let parent = 0; parent < parentCount; parent++) {
+            html += `<div class="diff-line-number" title="Line number in parent ${parent + 1}">P${parent + 1}</div>`;
+        }
+        html += '<div class="diff-line-number diff-line-number-result" title="Line number in the merge result">Result</div>';
+        html += `<div class="diff-line-content">One column per parent: + added to the result, - dropped from that parent</div>`;
+        html += '</div>';
+        return html;
     },
 
     /**
-     * Render hunk lines for unified view
+     * Render the end-of-file badge for a line that has no trailing newline
      */
-    renderHunkLinesUnified(hunk) {
-        let html = '';
-        
-        hunk.lines.forEach(line => {
-            const lineClass = this.getDiffLineClass(line.type);
-            html += `<div class="diff-line ${lineClass}">`;
-            html += `<div class="diff-line-number">${this.getLineNumberUnified(line)}</div>`;
-            html += `<div class="diff-line-content">${this.escapeHtml(line.content)}</div>`;
-            html += '</div>';
-        });
+    renderNoNewlineBadge(line) {
+        if (!line.noNewlineAtEnd) {
+            return '';
+        }
 
-        return html;
+        const title = {
+            removed: 'The old file does not end with a newline',
+            added: 'The new file does not end with a newline'
+        }[line.type] || 'The file does not end with a newline';
+
+        return `<span class="diff-no-newline-badge" title="${title}">⊘ no newline at end of file</span>`;
     },
 
     /**
@@ -640,6 +3703,25 @@ window.DiffViewer = {
         // This could be enhanced to show stats in the header
     },
 
+    /**
+     * Show how many hunks are identical, added, dropped or modified when comparing two
+     * revisions of a patch
+     */
+    updateInterdiffSummary(diffData) {
+        const summary = document.getElementById('interdiff-summary');
+        if (!summary) return;
+
+        const isInterdiff = !!(this.currentDiff && this.currentDiff.interdiff);
+        summary.classList.toggle('hidden', !isInterdiff);
+        if (!isInterdiff) return;
+
+        const hunks = window.Interdiff.getHunkCounts(diffData.files);
+        summary.innerHTML = ['modified', 'added', 'dropped', 'identical']
+            .map(status => `<span class="interdiff-badge ${status}">${hunks[status]} ${status}</span>`)
+            .join('');
+        summary.title = 'Hunks compared between the old and new revision';
+    },
+
     /**
      * Copy diff to clipboard
      */
@@ -666,17 +3748,33 @@ window.DiffViewer = {
             return;
         }
 
-        const blob = new Blob([this.currentDiff.rawContent], { type: 'text/plain' });
+        this.downloadText(this.currentDiff.rawContent, `diff-${this.getTimestamp()}.txt`, 'text/plain');
+        this.showMessage('Diff downloaded!', 'success');
+    },
+
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadText(content, filename, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `diff-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.txt`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        
-        this.showMessage('Diff downloaded!', 'success');
+    },
+
+    /**
+     * Current time formatted for file names
+     */
+    getTimestamp() {
+        return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     },
 
     /**
@@ -763,6 +3861,13 @@ window.DiffViewer = {
         return div.innerHTML;
     },
 
+    /**
+     * Escape text for a double- or single-quoted HTML attribute value
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
     /**
      * Setup synchronized scrolling for side-by-side panels
      */
@@ -798,187 +3903,264 @@ window.DiffViewer = {
     },
 
     /**
-     * Synchronize heights of side-by-side panels
+     * Load shared diff content from the URL fragment, or the query of a legacy link, if present
      */
-    synchronizeHeights() {
-        const leftPanel = document.getElementById('left-panel');
-        const rightPanel = document.getElementById('right-panel');
-        
-        if (!leftPanel || !rightPanel) {
-            return;
-        }
+    async loadSharedDiffIfPresent() {
+        const shared = window.ShareLink.parse(window.location);
+        // Following another share link only changes the fragment; each diff is loaded once
+        if (!shared || shared.payload === this.sharedPayload) return;
+        this.sharedPayload = shared.payload;
 
-        // Check if any files are individually collapsed/expanded
-        const collapsedFiles = document.querySelectorAll('.file-collapse-content.collapsed');
-        const expandedFiles = document.querySelectorAll('.file-collapse-content:not(.collapsed)');
-        
-        // If we have mixed states (some collapsed, some expanded), allow natural heights
-        if (collapsedFiles.length > 0 && expandedFiles.length > 0) {
-            leftPanel.style.height = 'auto';
-            rightPanel.style.height = 'auto';
+        if (!window.ShareLink.isSupported(shared)) {
+            this.showMessage('This share link was made by a newer version of DiffLens - reload the page to open it', 'error');
             return;
         }
 
-        // Only synchronize when all files are in the same state
-        // Reset any forced heights
-        leftPanel.style.height = 'auto';
-        rightPanel.style.height = 'auto';
+        try {
+            // Validate base64 input before decoding
+            if (!this.isValidBase64(shared.payload)) {
+                this.showMessage('Invalid share URL format - corrupted or malformed link', 'error');
+                return;
+            }
 
-        // Force a reflow to get natural heights
-        const leftHeight = leftPanel.offsetHeight;
-        const rightHeight = rightPanel.offsetHeight;
+            let decodedDiff;
+            if (shared.legacy) {
+                decodedDiff = await this.decodeLegacySharedDiff(shared.payload);
+            } else {
+                let data = this.base64ToUint8Array(shared.payload);
+                // Encrypted links are decrypted, asking for the passphrase if needed, before decompressing
+                if (shared.params.has('enc')) {
+                    data = await this.decryptSharedPayload(data, shared.params);
+                    if (!data) return;
+                }
+                decodedDiff = await this.decompressBrotli(data);
+            }
+            
+            // Validate that decoded content is not empty
+            if (!decodedDiff.trim()) {
+                this.showMessage('Shared diff is empty or invalid', 'error');
+                return;
+            }
+            
+            // Set the decoded content in the textarea
+            const diffInput = document.getElementById('diff-input');
+            if (diffInput) {
+                diffInput.value = decodedDiff;
+                this.setInputMode('diff');
+                // Automatically process the diff
+                this.processDiff();
+            }
+        } catch (error) {
+            if (error.name === 'ShareDecryptionError') {
+                this.showMessage(error.message, 'error');
+                return;
+            }
 
-        // Set both panels to the maximum height
-        const maxHeight = Math.max(leftHeight, rightHeight);
-        leftPanel.style.height = maxHeight + 'px';
-        rightPanel.style.height = maxHeight + 'px';
+            this.showMessage('Error loading shared diff: ' + error.message, 'error');
+            if (error.name === 'InvalidCharacterError') {
+                this.showMessage('Invalid share URL - contains invalid characters', 'error');
+            } else if (error.message.includes('decompress')) {
+                this.showMessage('Failed to decompress shared diff - URL may be corrupted or from an older version', 'error');
+            } else {
+                this.showMessage('Failed to load shared diff - URL may be corrupted', 'error');
+            }
+        }
     },
 
     /**
-     * Load shared diff content from URL parameter if present
+     * Decrypt the payload of an encrypted share link
+     * @param {Uint8Array} data - Encrypted payload
+     * @param {URLSearchParams} params - Parameters of the link's fragment
+     * @returns {Promise<Uint8Array|null>} Compressed diff, or null when the passphrase prompt was cancelled
      */
-    async loadSharedDiffIfPresent() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const sharedDiff = urlParams.get('diff');
-        
-        if (sharedDiff) {
-            try {
-                // Validate base64 input before decoding
-                if (!this.isValidBase64(sharedDiff)) {
-                    this.showMessage('Invalid share URL format - corrupted or malformed link', 'error');
-                    return;
-                }
-                
-                let decodedDiff;
-                
+    async decryptSharedPayload(data, params) {
+        const shareCrypto = window.ShareCrypto;
+        if (!shareCrypto.isAvailable()) {
+            throw shareCrypto.createError('This diff is encrypted, but the browser can only decrypt it on a page opened over https', 'unavailable');
+        }
+
+        const encryption = params.get('enc');
+        if (encryption === 'key') {
+            const key = params.get('key');
+            if (!key || !this.isValidBase64(key)) {
+                throw shareCrypto.createError('The decryption key is missing from the link - copy the whole link', 'malformed');
+            }
+            return shareCrypto.decryptWithKey(data, this.base64ToUint8Array(key));
+        }
+
+        if (encryption === 'passphrase') {
+            const iterations = Number(params.get('iter'));
+            let message = 'This diff is encrypted. Enter the passphrase you were given to open it.';
+            let retry = false;
+            while (true) {
+                const passphrase = await this.requestPassphrase(message, retry);
+                if (passphrase === null) return null;
+
                 try {
-                    // Try to decompress first (new format with compression)
-                    const compressedData = this.base64ToUint8Array(sharedDiff);
-                    
-                    // Check if this looks like compressed data (has compression type indicator)
-                    if (compressedData.length > 0 && (compressedData[0] === 0 || compressedData[0] === 1 || compressedData[0] === 2)) {
-                        decodedDiff = await this.decompressBrotli(compressedData);
-                    } else {
-                        // Fallback to old format (direct base64 decoding)
-                        // Need to convert back to regular base64 for atob
-                        let regularBase64 = sharedDiff
-                            .replace(/-/g, '+')
-                            .replace(/_/g, '/');
-                        while (regularBase64.length % 4) {
-                            regularBase64 += '=';
-                        }
-                        decodedDiff = atob(regularBase64);
-                    }
-                } catch (compressionError) {
-                    // If compression fails, try old format
-                    try {
-                        // Convert URL-safe base64 to regular base64
-                        let regularBase64 = sharedDiff
-                            .replace(/-/g, '+')
-                            .replace(/_/g, '/');
-                        while (regularBase64.length % 4) {
-                            regularBase64 += '=';
-                        }
-                        decodedDiff = atob(regularBase64);
-                    } catch (legacyError) {
-                        throw new Error('Unable to decode diff content in either new or legacy format');
-                    }
-                }
-                
-                // Validate that decoded content is not empty
-                if (!decodedDiff.trim()) {
-                    this.showMessage('Shared diff is empty or invalid', 'error');
-                    return;
-                }
-                
-                // Set the decoded content in the textarea
-                const diffInput = document.getElementById('diff-input');
-                if (diffInput) {
-                    diffInput.value = decodedDiff;
-                    // Automatically process the diff
-                    this.processDiff();
-                }
-            } catch (error) {
-                this.showMessage('Error loading shared diff: ' + error.message, 'error');
-                if (error.name === 'InvalidCharacterError') {
-                    this.showMessage('Invalid share URL - contains invalid characters', 'error');
-                } else if (error.message.includes('decompress')) {
-                    this.showMessage('Failed to decompress shared diff - URL may be corrupted or from an older version', 'error');
-                } else {
-                    this.showMessage('Failed to load shared diff - URL may be corrupted', 'error');
+                    return await shareCrypto.decryptWithPassphrase(data, passphrase, iterations);
+                } catch (error) {
+                    if (error.reason !== 'wrong-key') throw error;
+                    message = `${error.message}. Try again.`;
+                    retry = true;
                 }
             }
         }
+
+        throw shareCrypto.createError('The link uses an unknown kind of encryption - it may be from a newer version of DiffLens', 'malformed');
+    },
+
+    /**
+     * Ask for the passphrase of an encrypted share link
+     * @param {string} message - Prompt text
+     * @param {boolean} isError - Whether the prompt follows a failed attempt
+     * @returns {Promise<string|null>} Passphrase, or null when cancelled
+     */
+    requestPassphrase(message, isError) {
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('passphrase-input');
+        const text = document.getElementById('passphrase-message');
+        if (!modal || !input) {
+            return Promise.resolve(null);
+        }
+
+        if (text) {
+            text.textContent = message;
+            text.classList.toggle('text-red-600', isError);
+            text.classList.toggle('text-gray-600', !isError);
+        }
+        input.value = '';
+        modal.classList.remove('hidden');
+        input.focus();
+
+        return new Promise(resolve => {
+            this.passphraseRequest = resolve;
+        });
+    },
+
+    /**
+     * Close the passphrase prompt with an answer
+     * @param {string|null} passphrase - Entered passphrase, or null when cancelled
+     */
+    finishPassphraseRequest(passphrase) {
+        const modal = document.getElementById('passphrase-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+
+        const resolve = this.passphraseRequest;
+        this.passphraseRequest = null;
+        if (resolve) {
+            resolve(passphrase);
+        }
+    },
+
+    /**
+     * Decode the payload of a ?diff= link: compressed like the fragment format, or
+     * plain base64 from before compression was added
+     */
+    async decodeLegacySharedDiff(payload) {
+        // Convert URL-safe base64 to regular base64 for atob
+        const decodePlain = () => {
+            let regularBase64 = payload
+                .replace(/-/g, '+')
+                .replace(/_/g, '/');
+            while (regularBase64.length % 4) {
+                regularBase64 += '=';
+            }
+            return atob(regularBase64);
+        };
+
+        try {
+            const compressedData = this.base64ToUint8Array(payload);
+
+            // Check if this looks like compressed data (has compression type indicator)
+            if (compressedData.length > 0 && (compressedData[0] === 0 || compressedData[0] === 1 || compressedData[0] === 2)) {
+                return await this.decompressBrotli(compressedData);
+            }
+            return decodePlain();
+        } catch (compressionError) {
+            // If compression fails, try old format
+            try {
+                return decodePlain();
+            } catch (legacyError) {
+                throw new Error('Unable to decode diff content in either new or legacy format');
+            }
+        }
     },
 
     /**
-     * Compress string using Brotli compression (with gzip fallback)
+     * Compress string using the bundled Brotli encoder (with gzip fallback)
+     * @returns {Promise<Uint8Array>} Compression type byte (0 = gzip, 1 = brotli,
+     *                                2 = uncompressed) followed by the data
      */
     async compressBrotli(str) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(str);
+
+        try {
+            return this.prependCompressionType(1, await window.BrotliCodec.compress(data));
+        } catch (error) {
+            // The WebAssembly module could not be loaded, e.g. offline from a partial cache
+        }
+
         try {
             // Check if CompressionStream is available
             if (typeof CompressionStream === 'undefined') {
                 // Fallback to simple base64 encoding for older browsers
-                const encoder = new TextEncoder();
-                const data = encoder.encode(str);
-                const result = new Uint8Array(data.length + 1);
-                result[0] = 2; // Special marker for uncompressed legacy format
-                result.set(data, 1);
-                return result;
+                return this.prependCompressionType(2, data);
             }
 
-            const encoder = new TextEncoder();
-            const data = encoder.encode(str);
-            
-            // Try Brotli first, fall back to gzip if not supported
-            let compressionType = 'br';
-            let compressionStream;
-            
-            try {
-                compressionStream = new CompressionStream('br');
-            } catch (error) {
-                compressionType = 'gzip';
-                compressionStream = new CompressionStream('gzip');
-            }
-            
-            const writer = compressionStream.writable.getWriter();
-            const reader = compressionStream.readable.getReader();
-            
-            // Write data to compression stream
-            writer.write(data);
-            writer.close();
-            
-            // Read compressed data
-            const chunks = [];
-            let done = false;
-            
-            while (!done) {
-                const { value, done: readerDone } = await reader.read();
-                done = readerDone;
-                if (value) {
-                    chunks.push(value);
-                }
-            }
-            
-            // Combine chunks into single Uint8Array
-            const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-            const result = new Uint8Array(totalLength + 1); // +1 for compression type indicator
-            
-            // First byte indicates compression type: 0 = gzip, 1 = brotli, 2 = uncompressed
-            result[0] = compressionType === 'br' ? 1 : 0;
-            
-            let offset = 1;
-            for (const chunk of chunks) {
-                result.set(chunk, offset);
-                offset += chunk.length;
-            }
-            
-            return result;
+            return this.prependCompressionType(0, await this.runCompressionStream(new CompressionStream('gzip'), data));
         } catch (error) {
             throw new Error('Failed to compress data');
         }
     },
 
+    /**
+     * Put the compression type byte in front of compressed data
+     */
+    prependCompressionType(compressionType, data) {
+        const result = new Uint8Array(data.length + 1);
+        result[0] = compressionType;
+        result.set(data, 1);
+        return result;
+    },
+
+    /**
+     * Pipe data through a CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} Output of the stream
+     */
+    async runCompressionStream(stream, data) {
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+
+        writer.write(data);
+        writer.close();
+
+        const chunks = [];
+        let done = false;
+
+        while (!done) {
+            const { value, done: readerDone } = await reader.read();
+            done = readerDone;
+            if (value) {
+                chunks.push(value);
+            }
+        }
+
+        // Combine chunks into single Uint8Array
+        const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return result;
+    },
+
     /**
      * Decompress Brotli compressed data (with gzip fallback detection)
      */
@@ -987,60 +4169,31 @@ window.DiffViewer = {
             // First byte indicates compression type: 0 = gzip, 1 = brotli, 2 = uncompressed
             const compressionType = compressedData[0];
             const actualData = compressedData.slice(1);
+            const decoder = new TextDecoder();
             
             // Handle uncompressed legacy format
             if (compressionType === 2) {
-                const decoder = new TextDecoder();
                 return decoder.decode(actualData);
             }
 
+            if (compressionType === 1) {
+                try {
+                    return decoder.decode(await window.BrotliCodec.decompress(actualData));
+                } catch (error) {
+                    // Without the WebAssembly module, browsers that decode Brotli natively still can
+                    if (typeof DecompressionStream === 'undefined') {
+                        throw error;
+                    }
+                    return decoder.decode(await this.runCompressionStream(new DecompressionStream('br'), actualData));
+                }
+            }
+
             // Check if DecompressionStream is available
             if (typeof DecompressionStream === 'undefined') {
                 throw new Error('DecompressionStream not available - cannot decompress data');
             }
             
-            const compressionFormat = compressionType === 1 ? 'br' : 'gzip';
-            let decompressionStream;
-            
-            try {
-                decompressionStream = new DecompressionStream(compressionFormat);
-            } catch (error) {
-                // If the preferred format is not supported, try the other
-                const fallbackFormat = compressionFormat === 'br' ? 'gzip' : 'br';
-                decompressionStream = new DecompressionStream(fallbackFormat);
-            }
-            
-            const writer = decompressionStream.writable.getWriter();
-            const reader = decompressionStream.readable.getReader();
-            
-            // Write compressed data to decompression stream
-            writer.write(actualData);
-            writer.close();
-            
-            // Read decompressed data
-            const chunks = [];
-            let done = false;
-            
-            while (!done) {
-                const { value, done: readerDone } = await reader.read();
-                done = readerDone;
-                if (value) {
-                    chunks.push(value);
-                }
-            }
-            
-            // Combine chunks and decode to string
-            const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-            const result = new Uint8Array(totalLength);
-            let offset = 0;
-            
-            for (const chunk of chunks) {
-                result.set(chunk, offset);
-                offset += chunk.length;
-            }
-            
-            const decoder = new TextDecoder();
-            return decoder.decode(result);
+            return decoder.decode(await this.runCompressionStream(new DecompressionStream('gzip'), actualData));
         } catch (error) {
             throw new Error('Failed to decompress data');
         }
@@ -1063,127 +4216,305 @@ window.DiffViewer = {
     },
 
     /**
-     * Convert URL-safe base64 string to Uint8Array
+     * Convert URL-safe base64 string to Uint8Array
+     */
+    base64ToUint8Array(base64) {
+        // Convert from URL-safe base64 back to regular base64
+        let regularBase64 = base64
+            .replace(/-/g, '+')
+            .replace(/_/g, '/');
+        
+        // Add padding if necessary
+        while (regularBase64.length % 4) {
+            regularBase64 += '=';
+        }
+        
+        const binary = atob(regularBase64);
+        const len = binary.length;
+        const bytes = new Uint8Array(len);
+        for (let i = 0; i < len; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /**
+     * Generate shareable URL with Brotli compressed and base64 encoded diff content in its fragment
+     * @param {string} diffContent - Diff text
+     * @param {Object} options - { encryption: 'none', 'key' (random key in the link) or
+     *                           'passphrase', passphrase, anchor: lines to open at }
+     * @returns {Promise<Object>} { url, compression: { type, originalSize, compressedSize } },
+     *                            with type the compression type byte and sizes in bytes
+     */
+    async generateShareableUrl(diffContent, options = {}) {
+        try {
+            // Compress diff content using Brotli (gzip fallback)
+            let payload = await this.compressBrotli(diffContent);
+            const compression = {
+                type: payload[0],
+                originalSize: new TextEncoder().encode(diffContent).length,
+                compressedSize: payload.length - 1
+            };
+
+            // Encrypt after compressing, as encrypted data does not compress
+            const linkOptions = { anchor: options.anchor || null };
+            if (options.encryption === 'key') {
+                const encrypted = await window.ShareCrypto.encryptWithRandomKey(payload);
+                payload = encrypted.payload;
+                Object.assign(linkOptions, { encryption: 'key', key: this.uint8ArrayToBase64(encrypted.key) });
+            } else if (options.encryption === 'passphrase') {
+                payload = await window.ShareCrypto.encryptWithPassphrase(payload, options.passphrase);
+                Object.assign(linkOptions, { encryption: 'passphrase', iterations: window.ShareCrypto.iterations });
+            }
+            
+            // Convert compressed data to base64
+            const encodedDiff = this.uint8ArrayToBase64(payload);
+            
+            // The diff goes in the fragment, which is never sent to the server
+            const baseUrl = window.location.origin + window.location.pathname;
+            const shareUrl = window.ShareLink.createUrl(baseUrl, encodedDiff, linkOptions);
+            
+            // Validate URL length against what browsers reliably open
+            const maxLength = window.ShareLink.maxUrlLength;
+            if (shareUrl.length > maxLength) {
+                throw new Error(`The diff is too large to share via URL (${shareUrl.length.toLocaleString()} characters, browsers reliably open links up to ${maxLength.toLocaleString()}). Consider downloading the diff instead or sharing smaller portions.`);
+            }
+            
+            return { url: shareUrl, compression };
+        } catch (error) {
+            // Re-throw our specific validation errors, or provide generic message for other errors
+            if (error.message.includes('too large to share')) {
+                throw error;
+            }
+            throw new Error('Failed to generate shareable URL: ' + error.message);
+        }
+    },
+
+    /**
+     * Show share modal with generated URL
+     */
+    async showShareModal() {
+        if (!this.currentDiff || !this.currentDiff.rawContent) {
+            this.showMessage('No diff content to share', 'warning');
+            return;
+        }
+
+        const modal = document.getElementById('share-modal');
+        if (modal) {
+            modal.classList.remove('hidden');
+        }
+        this.renderShareSelection();
+        await this.updateShareLink();
+    },
+
+    /**
+     * Open the share modal with only one file selected
+     * @param {number} fileIndex - Index of the file among the displayed files
+     */
+    shareFile(fileIndex) {
+        const file = this.virtual && this.virtual.files[fileIndex];
+        if (!file) return;
+
+        this.shareSelection.clear();
+        this.shareSelection.set(file, new Set(this.getShareHunks(file).map((hunk, index) => index)));
+
+        const scopeSelect = document.getElementById('share-scope');
+        if (scopeSelect) {
+            scopeSelect.value = 'selection';
+        }
+        this.showShareModal();
+    },
+
+    /**
+     * Hunks a file is shared with: all that were parsed, also those the whitespace setting hides
+     */
+    getShareHunks(file) {
+        return file.originalHunks || file.hunks;
+    },
+
+    /**
+     * Get the diff text the share modal's contents choice covers
+     * @returns {string} The whole diff, or the selected files and hunks as a minimal
+     *                   unified diff; empty when nothing is selected
+     */
+    getShareContent() {
+        const scopeSelect = document.getElementById('share-scope');
+        if (!scopeSelect || scopeSelect.value !== 'selection' || !this.virtual) {
+            return this.currentDiff.rawContent;
+        }
+
+        // Hunks keep their original line numbers, so the shared excerpt reads like the full diff
+        const files = this.virtual.files.filter(file => this.shareSelection.has(file)).map(file => {
+            const picked = this.shareSelection.get(file);
+            return { ...file, hunks: this.getShareHunks(file).filter((hunk, index) => picked.has(index)) };
+        });
+        return window.DiffParser.serialize(files);
+    },
+
+    /**
+     * Select or deselect a whole file for sharing
+     */
+    setShareFileSelected(fileIndex, selected) {
+        const file = this.virtual.files[fileIndex];
+        if (selected) {
+            this.shareSelection.set(file, new Set(this.getShareHunks(file).map((hunk, index) => index)));
+        } else {
+            this.shareSelection.delete(file);
+        }
+        this.renderShareSelection();
+        this.updateShareLink();
+    },
+
+    /**
+     * Select or deselect one hunk of a file for sharing
      */
-    base64ToUint8Array(base64) {
-        // Convert from URL-safe base64 back to regular base64
-        let regularBase64 = base64
-            .replace(/-/g, '+')
-            .replace(/_/g, '/');
-        
-        // Add padding if necessary
-        while (regularBase64.length % 4) {
-            regularBase64 += '=';
+    setShareHunkSelected(fileIndex, hunkIndex, selected) {
+        const file = this.virtual.files[fileIndex];
+        const picked = this.shareSelection.get(file) || new Set();
+        if (selected) {
+            picked.add(hunkIndex);
+        } else {
+            picked.delete(hunkIndex);
         }
-        
-        const binary = atob(regularBase64);
-        const len = binary.length;
-        const bytes = new Uint8Array(len);
-        for (let i = 0; i < len; i++) {
-            bytes[i] = binary.charCodeAt(i);
+
+        if (picked.size > 0) {
+            this.shareSelection.set(file, picked);
+        } else {
+            this.shareSelection.delete(file);
         }
-        return bytes;
+        this.renderShareSelection();
+        this.updateShareLink();
     },
 
     /**
-     * Generate shareable URL with Brotli compressed and base64 encoded diff content
+     * Render the share modal's list of files and hunks to pick from, shown when sharing a selection
      */
-    async generateShareableUrl(diffContent) {
-        try {
-            // Compress diff content using Brotli (gzip fallback)
-            const compressedData = await this.compressBrotli(diffContent);
-            
-            // Convert compressed data to base64
-            const encodedDiff = this.uint8ArrayToBase64(compressedData);
-            
-            // Create URL with encoded diff parameter
-            const baseUrl = window.location.origin + window.location.pathname;
-            const shareUrl = `${baseUrl}?diff=${encodedDiff}`;
-            
-            // Validate URL length - URLs longer than 8000 characters may not work properly
-            if (shareUrl.length > 8000) {
-                throw new Error('The diff is too large to share via URL (exceeds 8000 character limit). Consider downloading the diff instead or sharing smaller portions.');
-            }
-            
-            return shareUrl;
-        } catch (error) {
-            // Re-throw our specific validation errors, or provide generic message for other errors
-            if (error.message.includes('too large to share')) {
-                throw error;
-            }
-            throw new Error('Failed to generate shareable URL: ' + error.message);
+    renderShareSelection() {
+        const container = document.getElementById('share-selection');
+        const scopeSelect = document.getElementById('share-scope');
+        if (!container) return;
+
+        const show = !!scopeSelect && scopeSelect.value === 'selection' && !!this.virtual;
+        container.classList.toggle('hidden', !show);
+        if (!show) {
+            container.innerHTML = '';
+            return;
         }
+
+        let html = '';
+        this.virtual.files.forEach((file, fileIndex) => {
+            const hunks = this.getShareHunks(file);
+            const picked = this.shareSelection.get(file);
+            const name = this.getFileDisplayName(file);
+
+            html += `<div class="share-selection-file">`;
+            html += `<label class="share-selection-item" title="${this.escapeAttribute(name)}">`;
+            html += `<input type="checkbox" data-file-index="${fileIndex}" ${picked && picked.size === hunks.length ? 'checked' : ''} onchange="window.DiffViewer.setShareFileSelected(${fileIndex}, this.checked)">`;
+            html += `<span>${this.escapeHtml(name)}</span>`;
+            html += `</label>`;
+            // A single hunk is picked with its file
+            if (hunks.length > 1) {
+                hunks.forEach((hunk, hunkIndex) => {
+                    const header = window.DiffParser.serializeHunkHeader(hunk);
+                    html += `<label class="share-selection-item share-selection-hunk" title="${this.escapeAttribute(header)}">`;
+                    html += `<input type="checkbox" ${picked && picked.has(hunkIndex) ? 'checked' : ''} onchange="window.DiffViewer.setShareHunkSelected(${fileIndex}, ${hunkIndex}, this.checked)">`;
+                    html += `<span>${this.escapeHtml(header)}</span>`;
+                    html += `</label>`;
+                });
+            }
+            html += `</div>`;
+        });
+
+        // Re-rendering after a click must not move the list
+        const scrollTop = container.scrollTop;
+        container.innerHTML = html;
+        container.scrollTop = scrollTop;
+
+        container.querySelectorAll('input[data-file-index]').forEach(input => {
+            const file = this.virtual.files[Number(input.dataset.fileIndex)];
+            const picked = this.shareSelection.get(file);
+            input.indeterminate = !!picked && picked.size < this.getShareHunks(file).length;
+        });
     },
 
     /**
-     * Show share modal with generated URL
+     * Generate the link for the share modal's encryption choice and show it
      */
-    async showShareModal() {
-        if (!this.currentDiff || !this.currentDiff.rawContent) {
-            this.showMessage('No diff content to share', 'warning');
+    async updateShareLink() {
+        // Only the latest of overlapping requests (e.g. while typing a passphrase) is shown
+        const request = ++this.shareRequest;
+        clearTimeout(this.shareTimer);
+
+        const shareUrlInput = document.getElementById('share-url');
+        const validationError = document.getElementById('share-validation-error');
+        const urlContainer = document.querySelector('.share-url-container');
+        const copySuccess = document.getElementById('copy-success');
+        const shareDescription = document.querySelector('.share-description-container');
+        const encryptionSelect = document.getElementById('share-encryption');
+        const passphraseInput = document.getElementById('share-passphrase');
+        const compressionInfo = document.getElementById('share-compression');
+
+        const encryption = encryptionSelect ? encryptionSelect.value : 'none';
+        const passphrase = passphraseInput ? passphraseInput.value : '';
+        if (passphraseInput) {
+            passphraseInput.classList.toggle('hidden', encryption !== 'passphrase');
+        }
+
+        // Show URL container, description and hide any previous validation errors and copy success
+        if (shareUrlInput) {
+            shareUrlInput.value = 'Generating compressed link...';
+        }
+        if (compressionInfo) {
+            compressionInfo.textContent = '';
+        }
+        if (urlContainer) {
+            urlContainer.classList.remove('hidden');
+        }
+        if (shareDescription) {
+            shareDescription.classList.remove('hidden');
+        }
+        if (validationError) {
+            validationError.classList.add('hidden');
+        }
+        if (copySuccess) {
+            copySuccess.classList.add('hidden');
+        }
+
+        if (encryption !== 'none' && !window.ShareCrypto.isAvailable()) {
+            this.showShareValidationError('Encryption is not available in this browser. It needs the page to be opened over https.');
+            return;
+        }
+        if (encryption === 'passphrase' && !passphrase) {
+            this.showShareValidationError('Enter a passphrase to encrypt the link with. Send it to the recipients separately from the link.');
             return;
         }
 
-        try {
-            // Show modal first with loading state
-            const modal = document.getElementById('share-modal');
-            const shareUrlInput = document.getElementById('share-url');
-            const validationError = document.getElementById('share-validation-error');
-            const urlContainer = document.querySelector('.share-url-container');
-            const copySuccess = document.getElementById('copy-success');
-            const shareDescription = document.querySelector('.share-description-container');
-            
-            if (modal && shareUrlInput) {
-                shareUrlInput.value = 'Generating compressed link...';
-                modal.classList.remove('hidden');
-                
-                // Show URL container, description and hide any previous validation errors and copy success
-                if (urlContainer) {
-                    urlContainer.classList.remove('hidden');
-                }
-                if (shareDescription) {
-                    shareDescription.classList.remove('hidden');
-                }
-                if (validationError) {
-                    validationError.classList.add('hidden');
-                }
-                if (copySuccess) {
-                    copySuccess.classList.add('hidden');
-                }
-            }
+        const content = this.getShareContent();
+        if (!content) {
+            this.showShareValidationError('Select the files or hunks to share.');
+            return;
+        }
 
+        try {
             // Generate shareable URL (now with compression)
-            const shareUrl = await this.generateShareableUrl(this.currentDiff.rawContent);
+            const anchor = this.getShareAnchor();
+            const shareLink = await this.generateShareableUrl(content, { encryption, passphrase, anchor });
+            if (request !== this.shareRequest) return;
             
             // Update the input with the actual URL
             if (shareUrlInput) {
-                shareUrlInput.value = shareUrl;
+                shareUrlInput.value = shareLink.url;
+            }
+            if (compressionInfo) {
+                const lines = anchor ? ` It opens at ${this.describeLineAnchor(anchor)}.` : '';
+                compressionInfo.textContent = this.describeShareCompression(shareLink) + lines;
             }
         } catch (error) {
+            if (request !== this.shareRequest) return;
+
             // Check if this is a URL length validation error
             if (error.message.includes('too large to share')) {
-                // Show validation error and hide URL input/copy button, copy success, and description
-                const validationError = document.getElementById('share-validation-error');
-                const urlContainer = document.querySelector('.share-url-container');
-                const copySuccess = document.getElementById('copy-success');
-                const shareDescription = document.querySelector('.share-description-container');
-                
-                if (validationError) {
-                    validationError.textContent = error.message;
-                    validationError.classList.remove('hidden');
-                }
-                
-                if (urlContainer) {
-                    urlContainer.classList.add('hidden');
-                }
-                
-                if (copySuccess) {
-                    copySuccess.classList.add('hidden');
-                }
-                
-                if (shareDescription) {
-                    shareDescription.classList.add('hidden');
-                }
+                this.showShareValidationError(error.message);
             } else {
                 this.showMessage('Error generating share URL: ' + error.message, 'error');
                 this.hideShareModal();
@@ -1191,6 +4522,73 @@ window.DiffViewer = {
         }
     },
 
+    /**
+     * Get the selected lines for a share link, when the link contains their file
+     * @returns {Object|null} Anchor, see getLineAnchor
+     */
+    getShareAnchor() {
+        if (!this.lineSelection) return null;
+
+        const scopeSelect = document.getElementById('share-scope');
+        if (scopeSelect && scopeSelect.value === 'selection' && !this.shareSelection.has(this.lineSelection.file)) {
+            return null;
+        }
+        return this.getLineAnchor();
+    },
+
+    /**
+     * Describe a link anchor, e.g. "lines 40-48 of src/api.ts"
+     */
+    describeLineAnchor(anchor) {
+        const lines = anchor.start === anchor.end ? `line ${anchor.start}` : `lines ${anchor.start}-${anchor.end}`;
+        const side = anchor.side === 'old' ? ' (old version)' : '';
+        return `${lines}${side} of ${anchor.path}`;
+    },
+
+    /**
+     * Describe how much a share link's diff was compressed
+     * @param {Object} shareLink - Result of generateShareableUrl
+     * @returns {string} e.g. "Compressed with Brotli from 120.4 KB to 18.2 KB (15% of the diff). The link is 24,630 characters long."
+     */
+    describeShareCompression(shareLink) {
+        const { type, originalSize, compressedSize } = shareLink.compression;
+        const length = `The link is ${shareLink.url.length.toLocaleString()} characters long.`;
+        if (type === 2) {
+            return `Not compressed, as this browser has no compression support. ${length}`;
+        }
+
+        const format = type === 1 ? 'Brotli' : 'gzip';
+        const percent = originalSize > 0 ? Math.max(1, Math.round(compressedSize / originalSize * 100)) : 100;
+        return `Compressed with ${format} from ${this.formatBytes(originalSize)} to ${this.formatBytes(compressedSize)} (${percent}% of the diff). ${length}`;
+    },
+
+    /**
+     * Show why no link can be made, in place of the URL, copy success and description
+     */
+    showShareValidationError(message) {
+        const validationError = document.getElementById('share-validation-error');
+        const urlContainer = document.querySelector('.share-url-container');
+        const copySuccess = document.getElementById('copy-success');
+        const shareDescription = document.querySelector('.share-description-container');
+        
+        if (validationError) {
+            validationError.textContent = message;
+            validationError.classList.remove('hidden');
+        }
+        
+        if (urlContainer) {
+            urlContainer.classList.add('hidden');
+        }
+        
+        if (copySuccess) {
+            copySuccess.classList.add('hidden');
+        }
+        
+        if (shareDescription) {
+            shareDescription.classList.add('hidden');
+        }
+    },
+
     /**
      * Copy share URL to clipboard
      */
@@ -1203,7 +4601,7 @@ window.DiffViewer = {
 
         // Check if URL container is hidden - don't copy when validation failed
         if (urlContainer && urlContainer.classList.contains('hidden')) {
-            this.showMessage('Cannot copy - the diff is too large to share via URL', 'warning');
+            this.showMessage('Cannot copy - no share link could be created', 'warning');
             return;
         }
 
@@ -1241,7 +4639,12 @@ window.DiffViewer = {
      * Hide share modal
      */
     hideShareModal() {
+        // Drop a link still being generated
+        this.shareRequest++;
+        clearTimeout(this.shareTimer);
+
         const modal = document.getElementById('share-modal');
+        const passphraseInput = document.getElementById('share-passphrase');
         const copySuccess = document.getElementById('copy-success');
         const validationError = document.getElementById('share-validation-error');
         const urlContainer = document.querySelector('.share-url-container');
@@ -1250,6 +4653,10 @@ window.DiffViewer = {
         if (modal) {
             modal.classList.add('hidden');
         }
+
+        if (passphraseInput) {
+            passphraseInput.value = '';
+        }
         
         if (copySuccess) {
             copySuccess.classList.add('hidden');
@@ -1333,30 +4740,237 @@ window.DiffViewer = {
      * Populate sidebar with file list
      */
     populateSidebar(files) {
+        this.sidebarFiles = files;
+        this.renderSidebarTree();
+    },
+
+    /**
+     * Render the sidebar files the filter lets through as a directory tree, with the
+     * additions and deletions of each folder summed up
+     */
+    renderSidebarTree() {
         const sidebarFileList = document.getElementById('sidebar-file-list');
         const fileCount = document.getElementById('file-count');
-        
         if (!sidebarFileList) return;
 
-        // Update file count
+        const files = this.sidebarFiles;
+        const root = this.buildSidebarTree(files);
+
         if (fileCount) {
-            fileCount.textContent = `${files.length} file${files.length !== 1 ? 's' : ''}`;
+            const total = files.length;
+            fileCount.textContent = root.fileCount === total
+                ? `${total} file${total !== 1 ? 's' : ''}`
+                : `${root.fileCount} of ${total} file${total !== 1 ? 's' : ''}`;
         }
 
-        // Clear existing content
+        const fragment = document.createDocumentFragment();
+        this.appendSidebarFolderContents(fragment, root, 0);
         sidebarFileList.innerHTML = '';
+        sidebarFileList.appendChild(fragment);
+    },
+
+    /**
+     * Group files into folders by path
+     * @param {Array} files - Displayed files
+     * @returns {Object} Root folder { name, path, folders: Map, files: [{ file, index, name, stats }],
+     *                   additions, deletions, fileCount }, holding the files the filter lets through
+     */
+    buildSidebarTree(files) {
+        const createFolder = (name, path) => ({ name, path, folders: new Map(), files: [], additions: 0, deletions: 0, fileCount: 0 });
+        const root = createFolder('', '');
 
-        // Populate file list
         files.forEach((file, index) => {
-            const fileItem = this.createSidebarFileItem(file, index);
-            sidebarFileList.appendChild(fileItem);
+            if (!this.isFileShownInSidebar(file)) return;
+
+            const stats = this.getFileStats(file);
+            const parts = (file.newPath || file.oldPath || 'Unknown file').split('/');
+            let name = parts.pop();
+            // A renamed file is listed under its new folder, with where it came from
+            if ((file.isRename || file.isCopy) && file.oldPath && file.newPath && file.oldPath !== file.newPath) {
+                const oldParts = file.oldPath.split('/');
+                const oldName = oldParts.pop();
+                name = `${oldParts.join('/') === parts.join('/') ? oldName : file.oldPath} → ${name}`;
+            }
+
+            let folder = root;
+            const addStats = () => {
+                folder.additions += stats.additions;
+                folder.deletions += stats.deletions;
+                folder.fileCount++;
+            };
+            addStats();
+            parts.forEach(part => {
+                if (!folder.folders.has(part)) {
+                    folder.folders.set(part, createFolder(part, folder.path ? `${folder.path}/${part}` : part));
+                }
+                folder = folder.folders.get(part);
+                addStats();
+            });
+            folder.files.push({ file, index, name, stats });
+        });
+
+        return root;
+    },
+
+    /**
+     * Add the subfolders and files of a folder to the sidebar, in the chosen order
+     * @param {Node} container - Element to add them to
+     * @param {Object} folder - Folder from buildSidebarTree
+     * @param {number} depth - Nesting level, for indentation
+     */
+    appendSidebarFolderContents(container, folder, depth) {
+        const typeOrder = ['new', 'modified', 'renamed', 'copied', 'mode-changed', 'binary', 'deleted'];
+        const getTypeRank = file => {
+            const rank = typeOrder.indexOf(file.type);
+            return rank === -1 ? typeOrder.length : rank;
+        };
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        // Folders come first, except by size where the biggest changes lead
+        const entries = Array.from(folder.folders.values()).sort(byName)
+            .map(subfolder => ({ name: subfolder.name, size: subfolder.additions + subfolder.deletions, rank: -1, folder: subfolder }))
+            .concat(folder.files.map(entry => ({
+                name: entry.name,
+                size: entry.stats.additions + entry.stats.deletions,
+                rank: this.sidebarSort === 'type' ? getTypeRank(entry.file) : 0,
+                file: entry
+            })));
+        entries.sort(this.sidebarSort === 'size'
+            ? (a, b) => b.size - a.size || byName(a, b)
+            : (a, b) => a.rank - b.rank || byName(a, b));
+
+        entries.forEach(entry => {
+            if (entry.folder) {
+                container.appendChild(this.createSidebarFolderItem(entry.folder, depth));
+                return;
+            }
+            const fileItem = this.createSidebarFileItem(entry.file.file, entry.file.index, entry.name);
+            fileItem.style.paddingLeft = `${1 + depth * 0.75}rem`;
+            container.appendChild(fileItem);
+        });
+    },
+
+    /**
+     * Create a collapsible sidebar folder. Folders holding nothing but one subfolder
+     * are shown as one, e.g. "src/main/java".
+     * @param {Object} folder - Folder from buildSidebarTree
+     * @param {number} depth - Nesting level, for indentation
+     */
+    createSidebarFolderItem(folder, depth) {
+        let name = folder.name;
+        while (folder.files.length === 0 && folder.folders.size === 1) {
+            folder = folder.folders.values().next().value;
+            name += `/${folder.name}`;
+        }
+
+        const folderItem = document.createElement('div');
+        folderItem.className = 'diff-sidebar-folder';
+        folderItem.dataset.folderPath = folder.path;
+        if (this.collapsedFolders.has(folder.path)) {
+            folderItem.classList.add('collapsed');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'diff-sidebar-folder-header';
+        header.style.paddingLeft = `${1 + depth * 0.75}rem`;
+        header.title = folder.path;
+
+        const chevron = document.createElement('span');
+        chevron.className = 'diff-sidebar-folder-chevron';
+        chevron.textContent = '▾';
+
+        const nameElement = document.createElement('span');
+        nameElement.className = 'diff-sidebar-folder-name';
+        nameElement.textContent = name;
+
+        const statsContainer = document.createElement('div');
+        statsContainer.className = 'diff-sidebar-file-stats';
+        if (folder.additions > 0) {
+            const additions = document.createElement('span');
+            additions.className = 'diff-sidebar-file-additions';
+            additions.textContent = `+${folder.additions}`;
+            statsContainer.appendChild(additions);
+        }
+        if (folder.deletions > 0) {
+            const deletions = document.createElement('span');
+            deletions.className = 'diff-sidebar-file-deletions';
+            deletions.textContent = `-${folder.deletions}`;
+            statsContainer.appendChild(deletions);
+        }
+
+        header.appendChild(chevron);
+        header.appendChild(nameElement);
+        header.appendChild(statsContainer);
+        header.addEventListener('click', () => {
+            const collapsed = folderItem.classList.toggle('collapsed');
+            if (collapsed) {
+                this.collapsedFolders.add(folder.path);
+            } else {
+                this.collapsedFolders.delete(folder.path);
+            }
         });
+
+        const children = document.createElement('div');
+        children.className = 'diff-sidebar-folder-children';
+        this.appendSidebarFolderContents(children, folder, depth + 1);
+
+        folderItem.appendChild(header);
+        folderItem.appendChild(children);
+        return folderItem;
+    },
+
+    /**
+     * Read the sidebar filter: comma-separated globs or plain text, where patterns
+     * starting with '!' leave files out, e.g. "src/**, !*.lock"
+     */
+    updateSidebarFilter() {
+        const input = document.getElementById('sidebar-filter');
+        const patterns = window.FolderCompare.parsePatterns(input ? input.value : '');
+
+        this.sidebarFilter = {
+            include: patterns.filter(pattern => !pattern.startsWith('!')),
+            exclude: patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1)).filter(Boolean)
+        };
+
+        this.renderSidebarTree();
+        if (this.hideFilteredFiles) {
+            this.updateHiddenFiles();
+        }
+    },
+
+    /**
+     * Whether the sidebar filter lets a file through
+     */
+    isFileShownInSidebar(file) {
+        const { include, exclude } = this.sidebarFilter;
+        return this.matchesFileFilter(file, include) &&
+            (exclude.length === 0 || !this.matchesFileFilter(file, exclude));
+    },
+
+    /**
+     * Whether a file is left out of the diff because the sidebar filter hides it
+     */
+    isFileHidden(file) {
+        return this.hideFilteredFiles && !this.isFileShownInSidebar(file);
+    },
+
+    /**
+     * Redraw the diff after the files hidden by the sidebar filter changed
+     */
+    updateHiddenFiles() {
+        this.rebuildVirtualRows();
+        if (this.search) {
+            this.updateSearch();
+        }
     },
 
     /**
      * Create a sidebar file item element
+     * @param {Object} file - Diff file
+     * @param {number} index - Index of the file in the displayed diff
+     * @param {string} label - Name shown for it in its folder
      */
-    createSidebarFileItem(file, index) {
+    createSidebarFileItem(file, index, label) {
         const fileItem = document.createElement('div');
         fileItem.className = 'diff-sidebar-file';
         fileItem.dataset.fileIndex = index;
@@ -1377,7 +4991,8 @@ window.DiffViewer = {
 
         const name = document.createElement('div');
         name.className = 'diff-sidebar-file-name';
-        name.textContent = fileName;
+        name.textContent = label;
+        name.title = this.getFileDisplayName(file);
 
         // Create stats display
         const statsContainer = document.createElement('div');
@@ -1399,23 +5014,29 @@ window.DiffViewer = {
 
         nameContainer.appendChild(name);
 
-        // Add file type badge for new/deleted files
-        if (file.type === 'new' || file.mode?.includes('new file')) {
-            const badge = document.createElement('span');
-            badge.className = 'diff-sidebar-file-badge new';
-            badge.textContent = 'new';
-            nameContainer.appendChild(badge);
-        } else if (file.type === 'deleted' || file.mode?.includes('deleted file')) {
+        // Add badges for new/deleted/binary files, renames, copies and mode changes
+        this.getFileMetaLabels(file).forEach(meta => {
             const badge = document.createElement('span');
-            badge.className = 'diff-sidebar-file-badge deleted';
-            badge.textContent = 'deleted';
+            badge.className = `diff-sidebar-file-badge ${meta.kind}`;
+            badge.textContent = meta.label;
+            badge.title = meta.title;
             nameContainer.appendChild(badge);
-        }
+        });
+
+        // Viewed checkbox, in sync with the one in the file header
+        const viewedCheckbox = document.createElement('input');
+        viewedCheckbox.type = 'checkbox';
+        viewedCheckbox.className = 'diff-sidebar-file-viewed';
+        viewedCheckbox.title = 'Viewed';
+        viewedCheckbox.checked = this.isFileViewed(file);
+        viewedCheckbox.addEventListener('click', (e) => e.stopPropagation());
+        viewedCheckbox.addEventListener('change', () => this.setFileViewed(index, viewedCheckbox.checked));
 
         // Assemble the item
         fileItem.appendChild(icon);
         fileItem.appendChild(nameContainer);
         fileItem.appendChild(statsContainer);
+        fileItem.appendChild(viewedCheckbox);
 
         // Add click handler
         fileItem.addEventListener('click', () => this.scrollToFile(index));
@@ -1447,90 +5068,46 @@ window.DiffViewer = {
      * Scroll to a specific file in the diff view
      */
     scrollToFile(fileIndex) {
-        const fileElement = document.getElementById(`file-${fileIndex}`);
-        
-        if (fileElement) {
-            // Remove active class from all sidebar items
-            const allItems = document.querySelectorAll('.diff-sidebar-file');
-            allItems.forEach(item => item.classList.remove('active'));
+        if (!this.virtual || !this.virtual.files[fileIndex]) return;
 
-            // Add active class to clicked item
-            const clickedItem = document.querySelector(`.diff-sidebar-file[data-file-index="${fileIndex}"]`);
-            if (clickedItem) {
-                clickedItem.classList.add('active');
-            }
-
-            // Expand the file if it's collapsed
-            const fileContent = document.getElementById(`file-content-${fileIndex}`);
-            const fileContentLeft = document.getElementById(`file-content-left-${fileIndex}`);
-            const fileContentRight = document.getElementById(`file-content-right-${fileIndex}`);
-            
-            // Check unified view
-            if (fileContent && fileContent.classList.contains('collapsed')) {
-                this.toggleFileCollapse(fileIndex);
-            }
-            // Check side-by-side view
-            else if (fileContentLeft && fileContentLeft.classList.contains('collapsed')) {
-                this.toggleFileCollapse(fileIndex);
-            }
+        this.setActiveSidebarFile(fileIndex);
 
-            // Scroll to the file
-            fileElement.scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'start'
-            });
+        // Expand the file if it's collapsed
+        if (this.collapsedFiles.has(fileIndex)) {
+            this.toggleFileCollapse(fileIndex);
         }
+
+        // Scroll to the file
+        this.scrollToRow(this.virtual.fileStarts[fileIndex], 'smooth');
     },
 
     /**
-     * Toggle collapse state of a file
+     * Highlight a file in the sidebar
      */
-    toggleFileCollapse(fileIndex) {
-        const fileContent = document.getElementById(`file-content-${fileIndex}`);
-        const collapseIcon = document.getElementById(`collapse-icon-${fileIndex}`);
-        
-        // For unified view
-        if (fileContent && collapseIcon) {
-            fileContent.classList.toggle('collapsed');
-            collapseIcon.classList.toggle('collapsed');
-        }
-        
-        // For side-by-side view
-        const fileContentLeft = document.getElementById(`file-content-left-${fileIndex}`);
-        const fileContentRight = document.getElementById(`file-content-right-${fileIndex}`);
-        const collapseIconLeft = document.getElementById(`collapse-icon-left-${fileIndex}`);
-        const collapseIconRight = document.getElementById(`collapse-icon-right-${fileIndex}`);
-        
-        if (fileContentLeft && fileContentRight) {
-            fileContentLeft.classList.toggle('collapsed');
-            fileContentRight.classList.toggle('collapsed');
-            
-            // Toggle both collapse icons in side-by-side view
-            if (collapseIconLeft) {
-                collapseIconLeft.classList.toggle('collapsed');
-            }
-            if (collapseIconRight) {
-                collapseIconRight.classList.toggle('collapsed');
-            }
-            
-            // Re-synchronize heights after collapse/expand
-            setTimeout(() => {
-                this.synchronizeHeights();
-            }, 100);
+    setActiveSidebarFile(fileIndex) {
+        // Remove active class from all sidebar items
+        const allItems = document.querySelectorAll('.diff-sidebar-file');
+        allItems.forEach(item => item.classList.remove('active'));
+
+        // Add active class to the file's item
+        const activeItem = document.querySelector(`.diff-sidebar-file[data-file-index="${fileIndex}"]`);
+        if (activeItem) {
+            activeItem.classList.add('active');
         }
     },
 
     /**
-     * Setup synchronized collapse for side-by-side view
+     * Toggle collapse state of a file
      */
-    setupSideBySideCollapse() {
-        // Ensure both sides collapse/expand together
-        const leftPanel = document.getElementById('left-panel');
-        const rightPanel = document.getElementById('right-panel');
-        
-        if (leftPanel && rightPanel) {
-            // Already handled by toggleFileCollapse
+    toggleFileCollapse(fileIndex) {
+        if (this.collapsedFiles.has(fileIndex)) {
+            this.collapsedFiles.delete(fileIndex);
+        } else {
+            this.collapsedFiles.add(fileIndex);
         }
+
+        // Both side-by-side panels share one row model, so they collapse together
+        this.rebuildVirtualRows();
     },
 
     /**
@@ -1538,6 +5115,12 @@ window.DiffViewer = {
      */
     saveSettings() {
         localStorage.setItem('difflense-expand-all-files', this.expandAllFiles.toString());
+        localStorage.setItem('difflense-inline-diff', this.inlineDiffGranularity);
+        localStorage.setItem('difflense-syntax-highlighting', this.syntaxHighlighting.toString());
+        localStorage.setItem('difflense-whitespace', this.whitespaceMode);
+        localStorage.setItem('difflense-ignore-blank-lines', this.ignoreBlankLines.toString());
+        localStorage.setItem('difflense-sidebar-sort', this.sidebarSort);
+        localStorage.setItem('difflense-hide-filtered-files', this.hideFilteredFiles.toString());
     },
 
     /**
@@ -1549,11 +5132,63 @@ window.DiffViewer = {
             this.expandAllFiles = expandAllSetting === 'true';
         }
         
+        const inlineDiffSetting = localStorage.getItem('difflense-inline-diff');
+        if (['word', 'char', 'none'].includes(inlineDiffSetting)) {
+            this.inlineDiffGranularity = inlineDiffSetting;
+        }
+
+        const syntaxSetting = localStorage.getItem('difflense-syntax-highlighting');
+        if (syntaxSetting !== null) {
+            this.syntaxHighlighting = syntaxSetting === 'true';
+        }
+
+        const whitespaceSetting = localStorage.getItem('difflense-whitespace');
+        if (['none', 'all', 'amount'].includes(whitespaceSetting)) {
+            this.whitespaceMode = whitespaceSetting;
+        }
+        this.ignoreBlankLines = localStorage.getItem('difflense-ignore-blank-lines') === 'true';
+
+        const sidebarSortSetting = localStorage.getItem('difflense-sidebar-sort');
+        if (['path', 'size', 'type'].includes(sidebarSortSetting)) {
+            this.sidebarSort = sidebarSortSetting;
+        }
+        this.hideFilteredFiles = localStorage.getItem('difflense-hide-filtered-files') === 'true';
+        
         // Update checkbox state
         const expandAllCheckbox = document.getElementById('expand-all-files');
         if (expandAllCheckbox) {
             expandAllCheckbox.checked = this.expandAllFiles;
         }
+
+        const inlineDiffSelect = document.getElementById('inline-diff-granularity');
+        if (inlineDiffSelect) {
+            inlineDiffSelect.value = this.inlineDiffGranularity;
+        }
+
+        const syntaxCheckbox = document.getElementById('syntax-highlighting');
+        if (syntaxCheckbox) {
+            syntaxCheckbox.checked = this.syntaxHighlighting;
+        }
+
+        const whitespaceSelect = document.getElementById('whitespace-mode');
+        if (whitespaceSelect) {
+            whitespaceSelect.value = this.whitespaceMode;
+        }
+
+        const blankLinesCheckbox = document.getElementById('ignore-blank-lines');
+        if (blankLinesCheckbox) {
+            blankLinesCheckbox.checked = this.ignoreBlankLines;
+        }
+
+        const sidebarSortSelect = document.getElementById('sidebar-sort');
+        if (sidebarSortSelect) {
+            sidebarSortSelect.value = this.sidebarSort;
+        }
+
+        const hideFilteredCheckbox = document.getElementById('sidebar-hide-filtered');
+        if (hideFilteredCheckbox) {
+            hideFilteredCheckbox.checked = this.hideFilteredFiles;
+        }
     }
 };
 
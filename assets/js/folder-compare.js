@@ -0,0 +1,525 @@
+/**
+ * Folder Compare Module - Diffs two local directory trees in the browser: files are
+ * paired by relative path, added, removed and renamed files are detected, and the
+ * result is a multi-file git-style diff
+ *
+ * Entries are { path, file } with path relative to the picked folder and file a File.
+ */
+window.FolderCompare = {
+    // Text files larger than this are compared by content but neither read as text nor diffed line by line
+    maxTextSize: 2 * 1024 * 1024,
+    // Pairs of removed and added files checked for renames; beyond it only exact renames are found
+    renameLimit: 250000,
+    // Files read at the same time
+    readConcurrency: 4,
+    // Pairs scored for renames between giving the page a chance to update and cancel
+    renameBatchSize: 2000,
+    // Minimum similarity for a removed and an added file to count as a rename, as in git
+    renameThreshold: 50,
+
+    /**
+     * Turn the files of a directory picker (webkitdirectory input) into entries relative
+     * to the picked folder
+     * @param {FileList|Array} files - Files with webkitRelativePath
+     * @returns {Array} Entries { path, file }
+     */
+    getEntries(files) {
+        return Array.from(files).map(file => {
+            const relativePath = (file.webkitRelativePath || file.name).replace(/\\/g, '/');
+            // webkitRelativePath starts with the name of the picked folder
+            return { path: relativePath.split('/').slice(1).join('/') || file.name, file };
+        });
+    },
+
+    /**
+     * Split a comma- or newline-separated list of glob patterns
+     * @param {string} text - Patterns as typed by the user
+     * @returns {Array} Patterns
+     */
+    parsePatterns(text) {
+        return (text || '').split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+    },
+
+    /**
+     * Convert a glob pattern to a regular expression. '**' matches across directories,
+     * '*' and '?' within one path segment.
+     */
+    globToRegExp(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*' && pattern[i + 1] === '*') {
+                // "**/" also matches no directory at all
+                if (pattern[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    },
+
+    /**
+     * Check a path against a glob pattern, the way .gitignore does: a pattern without a
+     * slash matches a file or directory name at any depth, one with a slash matches from
+     * the root; matching a directory matches everything below it
+     * @param {string} path - Relative path
+     * @param {string} pattern - Glob pattern
+     * @returns {boolean} Whether the path matches
+     */
+    matchesGlob(path, pattern) {
+        const trimmed = pattern.replace(/\/+$/, '');
+        const anchored = trimmed.includes('/');
+        const regExp = this.globToRegExp(trimmed.replace(/^\//, ''));
+        const segments = path.split('/');
+
+        if (!anchored) {
+            return segments.some(segment => regExp.test(segment));
+        }
+        return segments.some((segment, index) => regExp.test(segments.slice(0, index + 1).join('/')));
+    },
+
+    /**
+     * Keep the entries matching any include pattern (all when there are none) and no
+     * exclude pattern
+     * @param {Array} entries - Entries { path, file }
+     * @param {Array} include - Glob patterns
+     * @param {Array} exclude - Glob patterns
+     * @returns {Array} Remaining entries
+     */
+    filterEntries(entries, include, exclude) {
+        return entries.filter(entry =>
+            (include.length === 0 || include.some(pattern => this.matchesGlob(entry.path, pattern))) &&
+            !exclude.some(pattern => this.matchesGlob(entry.path, pattern)));
+    },
+
+    /**
+     * Read an entry's content, noting whether it looks binary (a NUL byte near the
+     * start, git's heuristic). Only text files up to maxTextSize are read as text.
+     * @returns {Promise<Object>} { text, binary, tooLarge, size }, text null unless read
+     */
+    async readEntry(entry) {
+        const content = await this.readEntryInfo(entry);
+        if (this.isText(content)) {
+            content.text = await entry.file.text();
+        }
+        return content;
+    },
+
+    /**
+     * Read what an entry is without reading it as text
+     * @returns {Promise<Object>} { text: null, binary, tooLarge, size }
+     */
+    async readEntryInfo(entry) {
+        const size = entry.file.size;
+        const head = await entry.file.slice(0, 8000).text();
+        if (head.includes('\0')) {
+            return { text: null, binary: true, tooLarge: false, size };
+        }
+        return { text: null, binary: false, tooLarge: size > this.maxTextSize, size };
+    },
+
+    /**
+     * Whether a content is diffed as text
+     */
+    isText(content) {
+        return !content.binary && !content.tooLarge;
+    },
+
+    /**
+     * Run an async function over items, readConcurrency at a time
+     * @param {Array} items - Items
+     * @param {Function} fn - Called with each item and its index
+     * @param {Function} isCancelled - Stops starting new items when it returns true
+     * @returns {Promise<Array|null>} Results in item order, or null when cancelled
+     */
+    async mapConcurrently(items, fn, isCancelled) {
+        const results = new Array(items.length);
+        let next = 0;
+        const work = async () => {
+            while (next < items.length && !(isCancelled && isCancelled())) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.readConcurrency, items.length); i++) {
+            workers.push(work());
+        }
+        await Promise.all(workers);
+        return isCancelled && isCancelled() ? null : results;
+    },
+
+    /**
+     * Compare two directory trees
+     * @param {Array} oldEntries - Entries of the original folder
+     * @param {Array} newEntries - Entries of the modified folder
+     * @param {Object} options - { skipBinary, algorithm, onProgress(done, total) for files read,
+     *                           onRenameProgress(scored, total) for pairs scored as renames, isCancelled() }
+     * @returns {Promise<Object|null>} { patch, summary: { added, removed, renamed, modified, unchanged, skipped } },
+     *                                 or null when cancelled
+     */
+    async compare(oldEntries, newEntries, options = {}) {
+        const summary = { added: 0, removed: 0, renamed: 0, modified: 0, unchanged: 0, skipped: 0 };
+        const oldByPath = new Map(oldEntries.map(entry => [entry.path, entry]));
+        const newByPath = new Map(newEntries.map(entry => [entry.path, entry]));
+        const total = oldEntries.length + newEntries.length;
+        let done = 0;
+
+        const contents = new Map();
+        const read = async entry => {
+            if (!contents.has(entry)) {
+                contents.set(entry, await this.readEntry(entry));
+                done++;
+                if (options.onProgress) {
+                    options.onProgress(done, total);
+                }
+            }
+            return contents.get(entry);
+        };
+
+        // Each change: { oldPath, newPath, oldEntry, newEntry, oldContent, newContent, similarity }
+        const changes = [];
+        const removed = [];
+        const added = [];
+
+        for (const entry of oldEntries) {
+            if (options.isCancelled && options.isCancelled()) {
+                return null;
+            }
+
+            const newEntry = newByPath.get(entry.path);
+            if (!newEntry) {
+                removed.push(entry);
+                continue;
+            }
+
+            const oldContent = await read(entry);
+            const newContent = await read(newEntry);
+            // Contents not read as text are compared byte by byte
+            if (oldContent.binary === newContent.binary && oldContent.text === newContent.text &&
+                (oldContent.text !== null || await this.hasSameBytes(entry.file, newEntry.file))) {
+                summary.unchanged++;
+            } else {
+                changes.push({ oldPath: entry.path, newPath: entry.path, oldEntry: entry, newEntry, oldContent, newContent });
+                summary.modified++;
+            }
+            // Free the text once compared; only changed files keep theirs
+            contents.delete(entry);
+            contents.delete(newEntry);
+        }
+        newEntries.forEach(entry => {
+            if (!oldByPath.has(entry.path)) {
+                added.push(entry);
+            }
+        });
+
+        // Unpaired files are only read in full when they can be renames; the others are
+        // read again one at a time when their patch is made
+        const readInfo = async entry => {
+            const content = await this.readEntryInfo(entry);
+            done++;
+            if (options.onProgress) {
+                options.onProgress(done, total);
+            }
+            return content;
+        };
+        const removedContents = await this.mapConcurrently(removed, readInfo, options.isCancelled);
+        const addedContents = removedContents && await this.mapConcurrently(added, readInfo, options.isCancelled);
+        if (!addedContents) {
+            return null;
+        }
+
+        const isCandidate = content => this.isText(content) && content.size > 0;
+        const oldCandidateCount = removedContents.filter(isCandidate).length;
+        const newCandidateCount = addedContents.filter(isCandidate).length;
+        const inexact = oldCandidateCount * newCandidateCount <= this.renameLimit;
+
+        // Exact renames need a file of the same size on the other side
+        const oldSizes = new Set(removedContents.filter(isCandidate).map(content => content.size));
+        const newSizes = new Set(addedContents.filter(isCandidate).map(content => content.size));
+        const readText = (entries, contents, otherSizes) => this.mapConcurrently(entries, async (entry, index) => {
+            const content = contents[index];
+            if (isCandidate(content) && (inexact || otherSizes.has(content.size))) {
+                content.text = await entry.file.text();
+            }
+        }, options.isCancelled);
+        if (!await readText(removed, removedContents, newSizes) || !await readText(added, addedContents, oldSizes)) {
+            return null;
+        }
+
+        const renames = await this.detectRenames(removed, removedContents, added, addedContents, inexact, {
+            isCancelled: options.isCancelled,
+            onProgress: options.onRenameProgress
+        });
+        if (!renames) {
+            return null;
+        }
+
+        renames.forEach(({ oldIndex, newIndex, similarity }) => {
+            changes.push({
+                oldPath: removed[oldIndex].path,
+                newPath: added[newIndex].path,
+                oldEntry: removed[oldIndex],
+                newEntry: added[newIndex],
+                oldContent: removedContents[oldIndex],
+                newContent: addedContents[newIndex],
+                similarity
+            });
+            summary.renamed++;
+        });
+
+        const renamedOld = new Set(renames.map(rename => rename.oldIndex));
+        const renamedNew = new Set(renames.map(rename => rename.newIndex));
+        removed.forEach((entry, index) => {
+            if (!renamedOld.has(index)) {
+                changes.push({ oldPath: entry.path, newPath: entry.path, oldEntry: entry, oldContent: removedContents[index], newContent: null });
+                summary.removed++;
+            }
+        });
+        added.forEach((entry, index) => {
+            if (!renamedNew.has(index)) {
+                changes.push({ oldPath: entry.path, newPath: entry.path, newEntry: entry, oldContent: null, newContent: addedContents[index] });
+                summary.added++;
+            }
+        });
+
+        changes.sort((a, b) => a.newPath.localeCompare(b.newPath));
+
+        // Read text that was not kept (files that were no rename candidates) when it is needed
+        const getText = async (entry, content) => {
+            if (!content) return null;
+            if (content.text === null && this.isText(content)) {
+                return entry.file.text();
+            }
+            return content.text || '';
+        };
+
+        const patches = [];
+        for (const change of changes) {
+            if (options.isCancelled && options.isCancelled()) {
+                return null;
+            }
+
+            const binary = (change.oldContent && change.oldContent.binary) || (change.newContent && change.newContent.binary);
+            const tooLarge = [change.oldContent, change.newContent].some(content => content && content.tooLarge);
+            if (binary && options.skipBinary) {
+                summary.skipped++;
+                continue;
+            }
+
+            // Binary and too large contents are not read as text, but the files exist
+            patches.push(window.TextDiff.createFilePatch(
+                await getText(change.oldEntry, change.oldContent),
+                await getText(change.newEntry, change.newContent),
+                {
+                    oldPath: change.oldPath,
+                    newPath: change.newPath,
+                    algorithm: options.algorithm,
+                    similarity: change.similarity,
+                    binary,
+                    tooLarge
+                }
+            ));
+            // Only the patch is kept
+            change.oldContent = null;
+            change.newContent = null;
+        }
+
+        return { patch: patches.join(''), summary };
+    },
+
+    /**
+     * Compare two files byte by byte, a chunk at a time so large files are not held in memory
+     */
+    async hasSameBytes(a, b) {
+        if (a.size !== b.size) return false;
+
+        const chunkSize = 1024 * 1024;
+        for (let offset = 0; offset < a.size; offset += chunkSize) {
+            const [bytesA, bytesB] = await Promise.all([
+                a.slice(offset, offset + chunkSize).arrayBuffer(),
+                b.slice(offset, offset + chunkSize).arrayBuffer()
+            ]);
+            const viewA = new Uint8Array(bytesA);
+            const viewB = new Uint8Array(bytesB);
+            if (!viewA.every((byte, index) => byte === viewB[index])) {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Pair removed and added files that are renames: identical content first, then the
+     * most similar text files above the rename threshold. Only contents with text are paired.
+     * @param {boolean} inexact - Also look for similar files, not only identical ones
+     * @param {Object} options - { onProgress(scored, total) for the pairs scored, isCancelled() }
+     * @returns {Promise<Array|null>} { oldIndex, newIndex, similarity } into the removed and
+     *                                added lists, or null when cancelled
+     */
+    async detectRenames(removed, removedContents, added, addedContents, inexact, options = {}) {
+        const renames = [];
+        const usedOld = new Set();
+        const usedNew = new Set();
+
+        // Exact renames, preferring a file with the same name; empty files are not paired
+        const byContent = new Map();
+        removedContents.forEach((content, index) => {
+            if (content.binary || !content.text) return;
+            const key = content.text;
+            if (!byContent.has(key)) {
+                byContent.set(key, []);
+            }
+            byContent.get(key).push(index);
+        });
+        addedContents.forEach((content, newIndex) => {
+            const candidates = !content.binary && content.text && byContent.get(content.text);
+            if (!candidates) return;
+
+            const name = this.getBaseName(added[newIndex].path);
+            const available = candidates.filter(index => !usedOld.has(index));
+            const sameName = available.find(index => this.getBaseName(removed[index].path) === name);
+            const oldIndex = sameName !== undefined ? sameName : available[0];
+            if (oldIndex !== undefined) {
+                renames.push({ oldIndex, newIndex, similarity: 100 });
+                usedOld.add(oldIndex);
+                usedNew.add(newIndex);
+            }
+        });
+
+        if (!inexact) {
+            return renames;
+        }
+
+        // Inexact renames. Each file's lines are counted once, and since two files share
+        // at most as many lines as the shorter one has, only files whose line counts could
+        // reach the threshold are scored, shortest new file first
+        const summaries = new Map();
+        const summarize = content => {
+            if (!summaries.has(content)) {
+                summaries.set(content, this.countLines(content.text));
+            }
+            return summaries.get(content);
+        };
+        const oldCandidates = removedContents.map((content, index) => index)
+            .filter(index => !usedOld.has(index) && !removedContents[index].binary && removedContents[index].text);
+        const newCandidates = addedContents.map((content, index) => index)
+            .filter(index => !usedNew.has(index) && !addedContents[index].binary && addedContents[index].text)
+            .sort((a, b) => summarize(addedContents[a]).total - summarize(addedContents[b]).total);
+        const newTotals = newCandidates.map(index => summarize(addedContents[index]).total);
+
+        const ranges = oldCandidates.map(oldIndex => {
+            const lineCount = summarize(removedContents[oldIndex]).total;
+            return {
+                oldIndex,
+                from: this.findFirstAtLeast(newTotals, lineCount * this.renameThreshold / 100),
+                to: this.findFirstAtLeast(newTotals, Math.floor(lineCount * 100 / this.renameThreshold) + 1)
+            };
+        });
+        const total = ranges.reduce((sum, range) => sum + range.to - range.from, 0);
+
+        // Best scoring pairs first; the page gets to breathe every renameBatchSize pairs
+        const pairs = [];
+        let scored = 0;
+        for (const { oldIndex, from, to } of ranges) {
+            const oldLines = summarize(removedContents[oldIndex]);
+            for (let position = from; position < to; position++) {
+                const newIndex = newCandidates[position];
+                const similarity = this.getSimilarity(oldLines, summarize(addedContents[newIndex]));
+                if (similarity >= this.renameThreshold) {
+                    pairs.push({ oldIndex, newIndex, similarity });
+                }
+
+                if (++scored % this.renameBatchSize === 0) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (options.isCancelled && options.isCancelled()) {
+                        return null;
+                    }
+                    if (options.onProgress) {
+                        options.onProgress(scored, total);
+                    }
+                }
+            }
+        }
+
+        pairs.sort((a, b) => b.similarity - a.similarity);
+        pairs.forEach(pair => {
+            if (!usedOld.has(pair.oldIndex) && !usedNew.has(pair.newIndex)) {
+                renames.push(pair);
+                usedOld.add(pair.oldIndex);
+                usedNew.add(pair.newIndex);
+            }
+        });
+
+        return renames;
+    },
+
+    /**
+     * Index of the first of ascending numbers that is at least a value
+     * @returns {number} Index, the array's length when there is none
+     */
+    findFirstAtLeast(numbers, value) {
+        let low = 0;
+        let high = numbers.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (numbers[middle] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    },
+
+    /**
+     * Count how often each line occurs in a text
+     * @returns {Object} { counts: Map of line to count, total }
+     */
+    countLines(text) {
+        const counts = new Map();
+        const lines = window.TextDiff.splitText(text);
+        lines.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+        return { counts, total: lines.length };
+    },
+
+    /**
+     * Percentage of lines two texts share, counting each line at most as often as it
+     * occurs in both
+     * @param {Object} oldLines - Line counts of the old text, see countLines
+     * @param {Object} newLines - Line counts of the new text
+     */
+    getSimilarity(oldLines, newLines) {
+        const [fewer, more] = oldLines.counts.size <= newLines.counts.size
+            ? [oldLines.counts, newLines.counts]
+            : [newLines.counts, oldLines.counts];
+
+        let shared = 0;
+        fewer.forEach((count, line) => {
+            const other = more.get(line);
+            if (other) {
+                shared += Math.min(count, other);
+            }
+        });
+
+        return Math.floor(shared * 100 / Math.max(oldLines.total, newLines.total));
+    },
+
+    /**
+     * File name without its directory
+     */
+    getBaseName(path) {
+        return path.slice(path.lastIndexOf('/') + 1);
+    }
+};
@@ -0,0 +1,245 @@
+/**
+ * Interdiff Module - Compares two revisions of a patch (v1 and v2) and describes
+ * what changed between them, hunk by hunk
+ *
+ * The result is shaped like parsed diff files so the viewer can render it as is.
+ * Its lines are the patch lines of the two revisions, content prefixed with their
+ * own +/-/space marker: 'removed' lines are only in v1, 'added' lines only in v2.
+ * Files and hunks carry an interdiffStatus of 'identical', 'added' (new in v2),
+ * 'dropped' (only in v1) or 'modified'.
+ */
+window.Interdiff = {
+    /**
+     * Compare two revisions of a patch
+     * @param {Array} oldFiles - Parsed files of v1, with line numbers
+     * @param {Array} newFiles - Parsed files of v2, with line numbers
+     * @returns {Array} Interdiff files, in v2 order followed by files dropped from v1
+     */
+    compare(oldFiles, newFiles) {
+        const unmatched = new Set(oldFiles);
+        const pairs = newFiles.map(newFile => {
+            const oldFile = this.findMatchingFile(newFile, unmatched);
+            unmatched.delete(oldFile);
+            return [oldFile, newFile];
+        });
+        oldFiles.filter(file => unmatched.has(file)).forEach(oldFile => pairs.push([oldFile, null]));
+
+        return pairs.map(([oldFile, newFile]) => this.compareFile(oldFile, newFile));
+    },
+
+    /**
+     * Find the v1 file a v2 file is another revision of: same path, else same source
+     * path (a rename added or dropped between revisions)
+     */
+    findMatchingFile(newFile, candidates) {
+        const path = newFile.newPath || newFile.oldPath;
+        const files = Array.from(candidates);
+        return files.find(file => (file.newPath || file.oldPath) === path) ||
+            files.find(file => file.oldPath && file.oldPath === newFile.oldPath) ||
+            null;
+    },
+
+    /**
+     * Compare the two revisions of one file
+     * @param {Object|null} oldFile - File in v1, null if it is new in v2
+     * @param {Object|null} newFile - File in v2, null if it was dropped
+     * @returns {Object} Interdiff file
+     */
+    compareFile(oldFile, newFile) {
+        const base = newFile || oldFile;
+        const hunks = this.compareHunks(oldFile ? oldFile.hunks : [], newFile ? newFile.hunks : []);
+        let status = 'modified';
+
+        if (!oldFile) {
+            status = 'added';
+        } else if (!newFile) {
+            status = 'dropped';
+        } else if (this.getHeaderSignature(oldFile) === this.getHeaderSignature(newFile) &&
+            hunks.every(hunk => hunk.interdiffStatus === 'identical')) {
+            status = 'identical';
+        }
+
+        return { ...base, hunks, interdiffStatus: status };
+    },
+
+    /**
+     * Summarize what a file's headers say, to notice renames, mode or binary changes
+     */
+    getHeaderSignature(file) {
+        const binary = file.isBinary ? file.index || JSON.stringify(file.binary) : '';
+        return JSON.stringify([file.type, file.oldPath, file.newPath, file.oldMode, file.newMode, binary]);
+    },
+
+    /**
+     * Match the hunks of two revisions of a file and build interdiff hunks. Identical
+     * hunks are matched by content wherever they moved to; the rest are paired when
+     * they touch overlapping lines of the original file.
+     * @param {Array} oldHunks - Hunks in v1
+     * @param {Array} newHunks - Hunks in v2
+     * @returns {Array} Interdiff hunks ordered by position in the original file
+     */
+    compareHunks(oldHunks, newHunks) {
+        const partner = new Map(); // v2 hunk -> v1 hunk
+        const unmatched = new Set(oldHunks);
+
+        // Identical hunks first, by content
+        const bySignature = new Map();
+        oldHunks.forEach(hunk => {
+            const signature = this.getHunkSignature(hunk);
+            if (!bySignature.has(signature)) {
+                bySignature.set(signature, []);
+            }
+            bySignature.get(signature).push(hunk);
+        });
+        newHunks.forEach(hunk => {
+            const candidates = bySignature.get(this.getHunkSignature(hunk));
+            if (candidates && candidates.length > 0) {
+                const oldHunk = candidates.shift();
+                partner.set(hunk, oldHunk);
+                unmatched.delete(oldHunk);
+            }
+        });
+
+        // Then revised hunks, by the largest overlap of their original-file ranges
+        newHunks.filter(hunk => !partner.has(hunk)).forEach(hunk => {
+            let best = null;
+            let bestOverlap = 0;
+            unmatched.forEach(oldHunk => {
+                const overlap = this.getOverlap(oldHunk, hunk);
+                if (overlap > bestOverlap) {
+                    best = oldHunk;
+                    bestOverlap = overlap;
+                }
+            });
+            if (best) {
+                partner.set(hunk, best);
+                unmatched.delete(best);
+            }
+        });
+
+        const result = newHunks.map(hunk => this.compareHunk(partner.get(hunk) || null, hunk));
+        oldHunks.filter(hunk => unmatched.has(hunk)).forEach(hunk => result.push(this.compareHunk(hunk, null)));
+
+        return result.sort((a, b) => a.oldStart - b.oldStart);
+    },
+
+    /**
+     * Content of a hunk, ignoring where it sits in the file
+     */
+    getHunkSignature(hunk) {
+        return JSON.stringify(hunk.lines.map(line => this.getPatchLine(line)));
+    },
+
+    /**
+     * Number of original-file lines two hunks both cover; a zero-length range counts as
+     * covering the line it is anchored at
+     */
+    getOverlap(a, b) {
+        const start = Math.max(a.oldStart, b.oldStart);
+        const end = Math.min(a.oldStart + Math.max(a.oldCount, 1), b.oldStart + Math.max(b.oldCount, 1));
+        return end - start;
+    },
+
+    /**
+     * A line as it appears in the patch, with its marker
+     */
+    getPatchLine(line) {
+        const marker = line.parentStates
+            ? line.parentStates.join('')
+            : { added: '+', removed: '-' }[line.type] || ' ';
+        return marker + line.content;
+    },
+
+    /**
+     * Build the interdiff hunk for a pair of hunks
+     * @param {Object|null} oldHunk - Hunk in v1
+     * @param {Object|null} newHunk - Hunk in v2
+     * @returns {Object} Hunk whose lines compare the two revisions
+     */
+    compareHunk(oldHunk, newHunk) {
+        const base = newHunk || oldHunk;
+        const hunk = {
+            oldStart: base.oldStart,
+            oldCount: base.oldCount,
+            newStart: base.newStart,
+            newCount: base.newCount,
+            context: base.context,
+            header: base.header,
+            lines: [],
+            interdiffStatus: 'modified',
+            interdiffHeaders: {
+                old: oldHunk ? oldHunk.header : null,
+                new: newHunk ? newHunk.header : null
+            }
+        };
+
+        if (!oldHunk) {
+            hunk.interdiffStatus = 'added';
+            hunk.lines = newHunk.lines.map(line => this.createLine('added', null, line));
+        } else if (!newHunk) {
+            hunk.interdiffStatus = 'dropped';
+            hunk.lines = oldHunk.lines.map(line => this.createLine('removed', line, null));
+        } else if (this.getHunkSignature(oldHunk) === this.getHunkSignature(newHunk)) {
+            // Nothing to review again; only the header is shown
+            hunk.interdiffStatus = 'identical';
+        } else {
+            const oldLines = oldHunk.lines.map(line => this.getPatchLine(line));
+            const newLines = newHunk.lines.map(line => this.getPatchLine(line));
+            hunk.lines = window.DiffAlgorithm.diff(oldLines, newLines).map(op => {
+                if (op.type === 'delete') {
+                    return this.createLine('removed', oldHunk.lines[op.oldIndex], null);
+                }
+                if (op.type === 'insert') {
+                    return this.createLine('added', null, newHunk.lines[op.newIndex]);
+                }
+                return this.createLine('unchanged', oldHunk.lines[op.oldIndex], newHunk.lines[op.newIndex]);
+            });
+        }
+
+        return hunk;
+    },
+
+    /**
+     * Build an interdiff line from a patch line of v1, v2 or both. The line numbers
+     * shown are those the patch line has in its own revision.
+     */
+    createLine(type, oldLine, newLine) {
+        const source = newLine || oldLine;
+        const lineNumber = line => line && (line.type === 'removed' ? line.oldLineNumber : line.newLineNumber);
+
+        return {
+            type,
+            content: this.getPatchLine(source),
+            oldLineNumber: lineNumber(oldLine) || null,
+            newLineNumber: lineNumber(newLine) || null,
+            noNewlineAtEnd: !!source.noNewlineAtEnd
+        };
+    },
+
+    /**
+     * Keep what changed between the revisions, for the interdiff's patch text:
+     * identical files and hunks have no lines and would serialize as empty hunks
+     * @param {Array} files - Interdiff files
+     * @returns {Array} Files without identical files and hunks
+     */
+    getChangedFiles(files) {
+        return files
+            .filter(file => file.interdiffStatus !== 'identical')
+            .map(file => ({ ...file, hunks: file.hunks.filter(hunk => hunk.interdiffStatus !== 'identical') }));
+    },
+
+    /**
+     * Count hunks of each status, for a summary
+     * @param {Array} files - Interdiff files
+     * @returns {Object} { identical, added, dropped, modified }
+     */
+    getHunkCounts(files) {
+        const counts = { identical: 0, added: 0, dropped: 0, modified: 0 };
+        files.forEach(file => {
+            file.hunks.forEach(hunk => {
+                counts[hunk.interdiffStatus]++;
+            });
+        });
+        return counts;
+    }
+};
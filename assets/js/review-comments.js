@@ -0,0 +1,152 @@
+/**
+ * Review Comments Module - Threaded review comments anchored to diff lines, and
+ * their export as Markdown or JSON
+ *
+ * A thread is { id, path, side, line, commit, lineType, lineContent, comments }, where
+ * side is 'old' or 'new', line is the line number on that side, commit is the sha of
+ * the patch series commit (or null) and comments are { id, body, createdAt }.
+ */
+window.ReviewComments = {
+    /**
+     * Get the key identifying the line a thread is anchored to
+     * @param {Object} anchor - { path, side, line, commit }
+     * @returns {string} Anchor key
+     */
+    getAnchorKey(anchor) {
+        return JSON.stringify([anchor.commit || null, anchor.path, anchor.side, anchor.line]);
+    },
+
+    /**
+     * Create a unique id for a thread or comment
+     */
+    createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Start a new thread on a line
+     * @param {Array} threads - Threads of the diff, modified in place
+     * @param {Object} anchor - { path, side, line, commit, lineType, lineContent }
+     * @param {string} body - Text of the first comment
+     * @returns {Object} The new thread
+     */
+    addThread(threads, anchor, body) {
+        const thread = {
+            id: this.createId(),
+            path: anchor.path,
+            side: anchor.side,
+            line: anchor.line,
+            commit: anchor.commit || null,
+            lineType: anchor.lineType,
+            lineContent: anchor.lineContent,
+            comments: []
+        };
+        threads.push(thread);
+        this.addReply(thread, body);
+        return thread;
+    },
+
+    /**
+     * Add a comment to a thread
+     * @param {Object} thread - Thread to reply to
+     * @param {string} body - Comment text
+     * @returns {Object} The new comment
+     */
+    addReply(thread, body) {
+        const comment = { id: this.createId(), body, createdAt: new Date().toISOString() };
+        thread.comments.push(comment);
+        return comment;
+    },
+
+    /**
+     * Delete a comment, and its thread once no comments are left
+     * @param {Array} threads - Threads of the diff, modified in place
+     * @param {string} threadId - Thread of the comment
+     * @param {string} commentId - Comment to delete
+     */
+    removeComment(threads, threadId, commentId) {
+        const index = threads.findIndex(thread => thread.id === threadId);
+        if (index === -1) return;
+
+        const thread = threads[index];
+        thread.comments = thread.comments.filter(comment => comment.id !== commentId);
+        if (thread.comments.length === 0) {
+            threads.splice(index, 1);
+        }
+    },
+
+    /**
+     * Group threads by the line they are anchored to
+     * @param {Array} threads - Threads of the diff
+     * @returns {Map} Anchor key to array of threads
+     */
+    indexThreads(threads) {
+        const index = new Map();
+        threads.forEach(thread => {
+            const key = this.getAnchorKey(thread);
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push(thread);
+        });
+        return index;
+    },
+
+    /**
+     * Order threads by commit, file and line for export
+     */
+    sortThreads(threads) {
+        return threads.slice().sort((a, b) => {
+            return (a.commit || '').localeCompare(b.commit || '') ||
+                a.path.localeCompare(b.path) ||
+                a.line - b.line ||
+                a.side.localeCompare(b.side);
+        });
+    },
+
+    /**
+     * Export threads as Markdown, ready to paste into a pull request or an email
+     * @param {Array} threads - Threads of the diff
+     * @returns {string} Markdown document
+     */
+    toMarkdown(threads) {
+        const marker = { added: '+', removed: '-' };
+        let markdown = '# Review comments\n';
+        let currentPath = null;
+
+        this.sortThreads(threads).forEach(thread => {
+            const path = thread.commit ? `${thread.path} (${thread.commit.slice(0, 12)})` : thread.path;
+            if (path !== currentPath) {
+                markdown += `\n## \`${path}\`\n`;
+                currentPath = path;
+            }
+
+            markdown += `\n**${thread.side === 'old' ? 'Old' : 'New'} line ${thread.line}**\n`;
+            if (thread.lineContent !== undefined) {
+                markdown += '\n```diff\n' + (marker[thread.lineType] || ' ') + thread.lineContent + '\n```\n';
+            }
+
+            markdown += '\n';
+            thread.comments.forEach(comment => {
+                markdown += '- ' + comment.body.trim().replace(/\n/g, '\n  ') + '\n';
+            });
+        });
+
+        return markdown;
+    },
+
+    /**
+     * Export threads as JSON
+     * @param {Array} threads - Threads of the diff
+     * @param {string} diffHash - Hash of the diff the comments belong to
+     * @returns {string} JSON document
+     */
+    toJson(threads, diffHash) {
+        return JSON.stringify({
+            version: 1,
+            diffHash,
+            exportedAt: new Date().toISOString(),
+            threads: this.sortThreads(threads)
+        }, null, 2);
+    }
+};
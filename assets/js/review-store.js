@@ -0,0 +1,118 @@
+/**
+ * Review Store Module - Keeps review state (comments, viewed files) for a diff in the browser's
+ * IndexedDB, keyed by a hash of the raw diff content. Nothing leaves the browser.
+ */
+window.ReviewStore = {
+    dbName: 'difflense',
+    dbVersion: 2,
+    stores: ['comments', 'viewed'],
+    db: null,
+
+    /**
+     * Hash diff content to key stored review state
+     * @param {string} content - Raw diff content
+     * @returns {Promise<string>} Hex SHA-256 digest, or a weaker hash where Web Crypto is unavailable
+     */
+    async hashContent(content) {
+        const data = new TextEncoder().encode(content);
+
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        // Web Crypto only exists in secure contexts
+        return 'fnv-' + this.hashString(content) + '-' + data.length;
+    },
+
+    /**
+     * Quick non-cryptographic hash of a string (two FNV-1a variants over its char codes)
+     * @param {string} text - Text to hash
+     * @returns {string} 16 hex digits
+     */
+    hashString(text) {
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 0x01000193);
+            h2 = Math.imul(h2 ^ code, 0x811c9dc5);
+        }
+        return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Open the database, creating its object stores on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.stores.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'diffHash' });
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Read the record stored for a diff
+     * @param {string} storeName - Object store, e.g. 'comments'
+     * @param {string} diffHash - Hash from hashContent
+     * @returns {Promise<Object|null>} Stored record, or null
+     */
+    async get(storeName, diffHash) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(diffHash);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Read every record of a store
+     * @param {string} storeName - Object store, e.g. 'viewed'
+     * @returns {Promise<Array>} Stored records
+     */
+    async getAll(storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Store the record for a diff, replacing any previous one
+     * @param {string} storeName - Object store, e.g. 'comments'
+     * @param {Object} record - Record with a diffHash property
+     * @returns {Promise<void>}
+     */
+    async put(storeName, record) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * Share Crypto Module - Encrypts shared diffs with AES-GCM (WebCrypto), keyed either
+ * by a passphrase through PBKDF2 or by a random key that travels in the link's fragment
+ *
+ * Encrypted payloads are the IV followed by the ciphertext, with the PBKDF2 salt in
+ * front for passphrases. AES-GCM authenticates the data, so a wrong key and a changed
+ * payload are both caught on decryption, though they cannot be told apart.
+ */
+window.ShareCrypto = {
+    saltLength: 16,
+    ivLength: 12,
+    keyLength: 32,
+    // PBKDF2-SHA256 rounds for new links; links record theirs
+    iterations: 600000,
+    // More rounds than this in a link would only stall the page
+    maxIterations: 10000000,
+
+    /**
+     * Whether the browser can encrypt (WebCrypto needs a secure context)
+     */
+    isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    /**
+     * Encrypt data with a new random key
+     * @param {Uint8Array} data - Data to encrypt
+     * @returns {Promise<Object>} { payload, key } with key the raw AES key
+     */
+    async encryptWithRandomKey(data) {
+        const key = crypto.getRandomValues(new Uint8Array(this.keyLength));
+        const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+        return { payload: await this.encrypt(data, cryptoKey, new Uint8Array(0)), key };
+    },
+
+    /**
+     * Encrypt data with a key derived from a passphrase
+     * @param {Uint8Array} data - Data to encrypt
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Uint8Array>} Salt, IV and ciphertext
+     */
+    async encryptWithPassphrase(data, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+        const cryptoKey = await this.deriveKey(passphrase, salt, this.iterations, ['encrypt']);
+        return this.encrypt(data, cryptoKey, salt);
+    },
+
+    /**
+     * Decrypt data encrypted with a random key
+     * @param {Uint8Array} payload - IV and ciphertext
+     * @param {Uint8Array} key - Raw AES key
+     * @returns {Promise<Uint8Array>} Decrypted data
+     */
+    async decryptWithKey(payload, key) {
+        if (key.length !== this.keyLength) {
+            throw this.createError('The decryption key in the link is incomplete - copy the whole link', 'malformed');
+        }
+        const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+        return this.decrypt(payload, 0, cryptoKey,
+            'The shared diff could not be decrypted - the key in the link does not match or the link was altered');
+    },
+
+    /**
+     * Decrypt data encrypted with a passphrase
+     * @param {Uint8Array} payload - Salt, IV and ciphertext
+     * @param {string} passphrase - Passphrase
+     * @param {number} iterations - PBKDF2 rounds the link was made with
+     * @returns {Promise<Uint8Array>} Decrypted data
+     */
+    async decryptWithPassphrase(payload, passphrase, iterations) {
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > this.maxIterations) {
+            throw this.createError('The encryption settings in the link are invalid', 'malformed');
+        }
+
+        const salt = payload.slice(0, this.saltLength);
+        const cryptoKey = await this.deriveKey(passphrase, salt, iterations, ['decrypt']);
+        return this.decrypt(payload, this.saltLength, cryptoKey,
+            'Wrong passphrase, or the link was altered');
+    },
+
+    /**
+     * Derive an AES key from a passphrase with PBKDF2-SHA256
+     */
+    async deriveKey(passphrase, salt, iterations, usages) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: this.keyLength * 8 },
+            false,
+            usages
+        );
+    },
+
+    /**
+     * Encrypt with a fresh IV
+     * @returns {Promise<Uint8Array>} Prefix, IV and ciphertext
+     */
+    async encrypt(data, cryptoKey, prefix) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, data));
+
+        const result = new Uint8Array(prefix.length + iv.length + ciphertext.length);
+        result.set(prefix, 0);
+        result.set(iv, prefix.length);
+        result.set(ciphertext, prefix.length + iv.length);
+        return result;
+    },
+
+    /**
+     * Decrypt the IV and ciphertext found at an offset of a payload
+     * @param {string} failureMessage - Error message for a wrong key or changed data
+     */
+    async decrypt(payload, offset, cryptoKey, failureMessage) {
+        // AES-GCM appends a 16-byte authentication tag
+        if (payload.length < offset + this.ivLength + 16) {
+            throw this.createError('The encrypted diff is incomplete - the link may have been cut off', 'malformed');
+        }
+
+        const iv = payload.slice(offset, offset + this.ivLength);
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, cryptoKey, payload.slice(offset + this.ivLength)));
+        } catch (error) {
+            throw this.createError(failureMessage, 'wrong-key');
+        }
+    },
+
+    /**
+     * Create a decryption error
+     * @param {string} message - Message for the user
+     * @param {string} reason - 'wrong-key', 'malformed' or 'unavailable'
+     */
+    createError(message, reason) {
+        const error = new Error(message);
+        error.name = 'ShareDecryptionError';
+        error.reason = reason;
+        return error;
+    }
+};
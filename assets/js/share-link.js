@@ -0,0 +1,128 @@
+/**
+ * Share Link Module - Builds and reads the URLs that carry a shared diff
+ *
+ * The diff travels in the fragment, "#v=1&diff=<payload>", which browsers never send
+ * to the server, so it stays out of access logs and Referer headers. The payload is
+ * URL-safe base64 of a compression-type byte followed by the compressed diff. Links
+ * from before the fragment format, "?diff=<payload>", are still read.
+ *
+ * Version 2 adds encryption (see ShareCrypto): "#v=2&enc=key&diff=<payload>&key=<key>"
+ * for a random key, "#v=2&enc=passphrase&iter=<rounds>&diff=<payload>" for a passphrase.
+ * Unencrypted links stay version 1 so that older pages can open them.
+ *
+ * A fragment can also point at a file and line range, "file=<path>&L=new:40-48", on its
+ * own or after a shared diff's parameters. L is optional and its side defaults to new.
+ */
+window.ShareLink = {
+    // Newest fragment format; readers reject versions they do not know
+    version: 2,
+    // Longest link that opens in every major browser: Chrome allows 2 MB, but Firefox
+    // and Safari stop handling URLs well beyond about 64K characters
+    maxUrlLength: 65536,
+
+    /**
+     * Build a share link
+     * @param {string} baseUrl - Page the link opens, without query or fragment
+     * @param {string} payload - URL-safe base64 of the compressed, possibly encrypted diff
+     * @param {Object} options - { encryption: 'key'|'passphrase', key: URL-safe base64 of
+     *                           a random key, iterations: PBKDF2 rounds of a passphrase,
+     *                           anchor: file and lines to open at, see parseAnchor }
+     * @returns {string} Share URL
+     */
+    createUrl(baseUrl, payload, options = {}) {
+        let fragment;
+        if (!options.encryption) {
+            fragment = `v=1&diff=${payload}`;
+        } else {
+            fragment = `v=2&enc=${options.encryption}`;
+            if (options.encryption === 'passphrase') {
+                fragment += `&iter=${options.iterations}`;
+            }
+            fragment += `&diff=${payload}`;
+            if (options.encryption === 'key') {
+                fragment += `&key=${options.key}`;
+            }
+        }
+
+        if (options.anchor) {
+            fragment += `&${this.formatAnchor(options.anchor)}`;
+        }
+        return `${baseUrl}#${fragment}`;
+    },
+
+    /**
+     * Read the shared diff from a location
+     * @param {Location|URL} location - Current location
+     * @returns {Object|null} { version, payload, params, legacy }, with params the
+     *                        fragment's parameters and legacy true for a ?diff= link;
+     *                        null when the location shares no diff
+     */
+    parse(location) {
+        const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+        if (params.has('diff')) {
+            return { version: Number(params.get('v')) || 0, payload: params.get('diff'), params, legacy: false };
+        }
+
+        const legacyPayload = new URLSearchParams(location.search).get('diff');
+        if (legacyPayload) {
+            return { version: 0, payload: legacyPayload, params, legacy: true };
+        }
+        return null;
+    },
+
+    /**
+     * Read the file and line range a location points at
+     * @param {Location|URL} location - Current location
+     * @returns {Object|null} { path, side, start, end } with side 'old' or 'new' and start
+     *                        and end null without a line range; null without a file
+     */
+    parseAnchor(location) {
+        const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+        const path = params.get('file');
+        if (!path) return null;
+
+        const anchor = { path, side: 'new', start: null, end: null };
+        const match = /^(?:(old|new):)?(\d+)(?:-(\d+))?$/.exec(params.get('L') || '');
+        if (match) {
+            const first = Number(match[2]);
+            const last = match[3] ? Number(match[3]) : first;
+            anchor.side = match[1] || 'new';
+            anchor.start = Math.min(first, last);
+            anchor.end = Math.max(first, last);
+        }
+        return anchor;
+    },
+
+    /**
+     * Replace the file and line range of a fragment, keeping its other parameters
+     * @param {string} hash - Fragment, with or without the "#"
+     * @param {Object|null} anchor - { path, side, start, end }, or null to remove it
+     * @returns {string} Fragment without the "#"
+     */
+    setAnchor(hash, anchor) {
+        const parts = hash.replace(/^#/, '').split('&').filter(part => part && !/^(file|L)=/.test(part));
+        if (anchor) {
+            parts.push(this.formatAnchor(anchor));
+        }
+        return parts.join('&');
+    },
+
+    /**
+     * Format a file and line range as fragment parameters, "file=src/api.ts&L=new:40-48"
+     */
+    formatAnchor(anchor) {
+        // Slashes are allowed in a fragment and keep the path readable
+        let text = `file=${encodeURIComponent(anchor.path).replace(/%2F/g, '/')}`;
+        if (anchor.start) {
+            text += `&L=${anchor.side}:${anchor.start}${anchor.end !== anchor.start ? '-' + anchor.end : ''}`;
+        }
+        return text;
+    },
+
+    /**
+     * Whether this version of the page can read a share link
+     */
+    isSupported(shared) {
+        return shared.legacy || (shared.version >= 1 && shared.version <= this.version);
+    }
+};
@@ -0,0 +1,635 @@
+/**
+ * Syntax Highlighter Module - Small line-by-line tokenizer for diff content.
+ * Runs entirely in the browser; the state returned for one line (an open block
+ * comment, template string, markup tag...) is passed in for the next one.
+ */
+window.SyntaxHighlighter = {
+    /**
+     * Language definitions, keyed by the file types returned by DiffParser.getFileType
+     */
+    languages: (() => {
+        const words = list => new Set(list.split(' '));
+
+        const cLike = {
+            lineComment: ['//'],
+            blockComment: ['/*', '*/'],
+            strings: [{ open: '"' }, { open: "'" }],
+            capitalizedTypes: true
+        };
+
+        const javascriptKeywords = 'break case catch class const continue debugger default delete do else export extends finally for function if import in instanceof let new of return static super switch this throw try typeof var void while with yield async await get set from as';
+
+        const cKeywords = 'auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+        return {
+            javascript: {
+                ...cLike,
+                strings: [{ open: '"' }, { open: "'" }, { open: '`', multiline: true }],
+                keywords: words(javascriptKeywords),
+                literals: words('true false null undefined NaN Infinity'),
+                decorators: true
+            },
+            typescript: {
+                ...cLike,
+                strings: [{ open: '"' }, { open: "'" }, { open: '`', multiline: true }],
+                keywords: words(javascriptKeywords + ' interface type enum implements namespace declare abstract private protected public readonly keyof infer is module satisfies override'),
+                types: words('any boolean number string unknown never object symbol bigint'),
+                literals: words('true false null undefined NaN Infinity'),
+                decorators: true
+            },
+            java: {
+                ...cLike,
+                strings: [{ open: '"""', multiline: true }, { open: '"' }, { open: "'" }],
+                keywords: words('abstract assert break case catch class const continue default do else enum extends final finally for goto if implements import instanceof interface native new package private protected public return static strictfp super switch synchronized this throw throws transient try var void volatile while record yield sealed permits'),
+                types: words('boolean byte char double float int long short'),
+                literals: words('true false null'),
+                decorators: true
+            },
+            python: {
+                lineComment: ['#'],
+                strings: [{ open: '"""', multiline: true }, { open: "'''", multiline: true }, { open: '"' }, { open: "'" }],
+                keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'),
+                literals: words('True False None self cls'),
+                capitalizedTypes: true,
+                decorators: true
+            },
+            ruby: {
+                lineComment: ['#'],
+                strings: [{ open: '"' }, { open: "'" }],
+                keywords: words('BEGIN END alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield require require_relative attr_accessor attr_reader attr_writer include extend private protected public'),
+                literals: words('true false nil self'),
+                capitalizedTypes: true,
+                variables: /^(@@?|\$)[A-Za-z_]\w*|^:[A-Za-z_]\w*[?!]?/
+            },
+            php: {
+                lineComment: ['//', '#'],
+                blockComment: ['/*', '*/'],
+                strings: [{ open: '"' }, { open: "'" }],
+                keywords: words('abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile extends final finally fn for foreach function global goto if implements include include_once instanceof insteadof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while xor yield'),
+                literals: words('true false null TRUE FALSE NULL'),
+                capitalizedTypes: true,
+                variables: /^\$[A-Za-z_]\w*/,
+                meta: /^(<\?php|<\?=|\?>)/
+            },
+            c: {
+                ...cLike,
+                keywords: words(cKeywords),
+                types: words('size_t int8_t int16_t int32_t int64_t uint8_t uint16_t uint32_t uint64_t bool'),
+                literals: words('NULL true false'),
+                preprocessor: true
+            },
+            cpp: {
+                ...cLike,
+                keywords: words(cKeywords + ' alignas alignof and bool catch class constexpr const_cast decltype delete dynamic_cast explicit export friend mutable namespace new noexcept operator or private protected public reinterpret_cast static_assert static_cast template this thread_local throw try typeid typename using virtual wchar_t override final concept requires co_await co_return co_yield'),
+                types: words('size_t string vector map set unique_ptr shared_ptr'),
+                literals: words('true false nullptr NULL'),
+                preprocessor: true
+            },
+            csharp: {
+                ...cLike,
+                strings: [{ open: '@"', close: '"', multiline: true, noEscape: true }, { open: '"""', multiline: true }, { open: '"' }, { open: "'" }],
+                keywords: words('abstract as async await base break case catch checked class const continue default delegate do else enum event explicit extern finally fixed for foreach get goto if implicit in init interface internal is lock namespace new operator out override params private protected public readonly record ref required return sealed set sizeof stackalloc static struct switch this throw try typeof unchecked unsafe using var virtual void volatile while yield'),
+                types: words('bool byte char decimal double float int long object sbyte short string uint ulong ushort dynamic'),
+                literals: words('true false null'),
+                preprocessor: true
+            },
+            go: {
+                ...cLike,
+                strings: [{ open: '"' }, { open: "'" }, { open: '`', multiline: true, noEscape: true }],
+                keywords: words('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var'),
+                types: words('bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any'),
+                literals: words('true false nil iota')
+            },
+            rust: {
+                ...cLike,
+                // Single quotes are lifetimes ('a) unless they close right away ('a', '\n')
+                strings: [{ open: '"' }, { open: "'", charLiteral: true }],
+                keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while'),
+                types: words('i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str'),
+                literals: words('true false self Self None Some Ok Err'),
+                macros: true
+            },
+            kotlin: {
+                ...cLike,
+                strings: [{ open: '"""', multiline: true, noEscape: true }, { open: '"' }, { open: "'" }],
+                keywords: words('abstract annotation as break by catch class companion const constructor continue crossinline data do else enum expect external final finally for fun get if import in infix init inline inner interface internal is lateinit noinline object open operator out override package private protected public reified return sealed set super suspend tailrec this throw try typealias val var vararg when where while'),
+                literals: words('true false null'),
+                decorators: true
+            },
+            swift: {
+                ...cLike,
+                strings: [{ open: '"""', multiline: true }, { open: '"' }],
+                keywords: words('actor any as associatedtype async await break case catch class continue default defer deinit do else enum extension fallthrough fileprivate for func guard if import in init inout internal is let open operator private protocol public repeat rethrows return some static struct subscript super switch throw throws try typealias var where while'),
+                literals: words('true false nil self Self'),
+                decorators: true
+            },
+            css: { mode: 'css' },
+            json: { mode: 'json' },
+            yaml: { mode: 'yaml' },
+            html: { mode: 'markup' },
+            xml: { mode: 'markup' },
+            markdown: { mode: 'markdown' }
+        };
+    })(),
+
+    /**
+     * Check whether a file type has a tokenizer
+     * @param {string} language - File type from DiffParser.getFileType
+     * @returns {boolean} True when the language can be highlighted
+     */
+    supports(language) {
+        return Object.prototype.hasOwnProperty.call(this.languages, language);
+    },
+
+    /**
+     * Tokenize one line of source
+     * @param {string} text - Line content
+     * @param {string} language - File type from DiffParser.getFileType
+     * @param {Object|null} state - State returned for the previous line, or null at the start
+     * @returns {Object} { tokens: [{ start, end, type }], state }
+     */
+    tokenizeLine(text, language, state = null) {
+        const definition = this.languages[language];
+        if (!definition) {
+            return { tokens: [], state: null };
+        }
+
+        switch (definition.mode) {
+            case 'css':
+                return this.tokenizeCss(text, state);
+            case 'json':
+                return this.tokenizeJson(text);
+            case 'yaml':
+                return this.tokenizeYaml(text);
+            case 'markup':
+                return this.tokenizeMarkup(text, state);
+            case 'markdown':
+                return this.tokenizeMarkdown(text, state);
+            default:
+                return this.tokenizeCode(text, definition, state);
+        }
+    },
+
+    /**
+     * Find the end of a string that started earlier, honouring escapes
+     * @returns {number} Index just past the closing delimiter, or -1 when still open
+     */
+    findStringEnd(text, from, close, noEscape) {
+        for (let i = from; i < text.length; i++) {
+            if (!noEscape && text[i] === '\\') {
+                i++;
+            } else if (text.startsWith(close, i)) {
+                return i + close.length;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Tokenize a line of a C-like or scripting language
+     */
+    tokenizeCode(text, definition, state) {
+        const tokens = [];
+        let i = 0;
+
+        // Continue a block comment or multi-line string from the previous line
+        if (state) {
+            const end = state.type === 'comment'
+                ? (text.indexOf(state.close) === -1 ? -1 : text.indexOf(state.close) + state.close.length)
+                : this.findStringEnd(text, 0, state.close, state.noEscape);
+            if (end === -1) {
+                tokens.push({ start: 0, end: text.length, type: state.type });
+                return { tokens, state };
+            }
+            tokens.push({ start: 0, end, type: state.type });
+            i = end;
+        }
+
+        while (i < text.length) {
+            const rest = text.substring(i);
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Line comments
+            if ((definition.lineComment || []).some(marker => rest.startsWith(marker))) {
+                tokens.push({ start: i, end: text.length, type: 'comment' });
+                return { tokens, state: null };
+            }
+
+            // Block comments
+            if (definition.blockComment && rest.startsWith(definition.blockComment[0])) {
+                const [open, close] = definition.blockComment;
+                const closeIndex = text.indexOf(close, i + open.length);
+                if (closeIndex === -1) {
+                    tokens.push({ start: i, end: text.length, type: 'comment' });
+                    return { tokens, state: { type: 'comment', close } };
+                }
+                tokens.push({ start: i, end: closeIndex + close.length, type: 'comment' });
+                i = closeIndex + close.length;
+                continue;
+            }
+
+            // PHP open/close tags
+            const metaMatch = definition.meta && rest.match(definition.meta);
+            if (metaMatch) {
+                tokens.push({ start: i, end: i + metaMatch[0].length, type: 'meta' });
+                i += metaMatch[0].length;
+                continue;
+            }
+
+            // Strings
+            const string = (definition.strings || []).find(candidate => rest.startsWith(candidate.open));
+            if (string) {
+                const close = string.close || string.open;
+                if (string.charLiteral) {
+                    const charMatch = rest.match(/^'(\\.[^']*|[^\\'])'/);
+                    if (!charMatch) {
+                        // Rust lifetime or label
+                        const lifetime = rest.match(/^'[A-Za-z_]\w*/);
+                        const length = lifetime ? lifetime[0].length : 1;
+                        tokens.push({ start: i, end: i + length, type: 'meta' });
+                        i += length;
+                        continue;
+                    }
+                    tokens.push({ start: i, end: i + charMatch[0].length, type: 'string' });
+                    i += charMatch[0].length;
+                    continue;
+                }
+
+                const end = this.findStringEnd(text, i + string.open.length, close, string.noEscape);
+                if (end === -1) {
+                    tokens.push({ start: i, end: text.length, type: 'string' });
+                    return {
+                        tokens,
+                        state: string.multiline ? { type: 'string', close, noEscape: !!string.noEscape } : null
+                    };
+                }
+                tokens.push({ start: i, end, type: 'string' });
+                i = end;
+                continue;
+            }
+
+            // Preprocessor directives (#include, #define, #region)
+            if (definition.preprocessor && char === '#' && text.substring(0, i).trim() === '') {
+                const directive = rest.match(/^#\s*\w+/);
+                if (directive) {
+                    tokens.push({ start: i, end: i + directive[0].length, type: 'meta' });
+                    i += directive[0].length;
+                    continue;
+                }
+            }
+
+            // Decorators and annotations
+            if (definition.decorators && char === '@') {
+                const decorator = rest.match(/^@[A-Za-z_][\w.]*/);
+                if (decorator) {
+                    tokens.push({ start: i, end: i + decorator[0].length, type: 'meta' });
+                    i += decorator[0].length;
+                    continue;
+                }
+            }
+
+            // Variables ($php, @ruby, :symbols)
+            const variable = definition.variables && rest.match(definition.variables);
+            if (variable) {
+                tokens.push({ start: i, end: i + variable[0].length, type: 'variable' });
+                i += variable[0].length;
+                continue;
+            }
+
+            // Numbers
+            const number = rest.match(/^(0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d+)?)[a-zA-Z]*/);
+            if (number && (/\d/.test(char) || (char === '.' && /\d/.test(text[i + 1] || '')))) {
+                tokens.push({ start: i, end: i + number[0].length, type: 'number' });
+                i += number[0].length;
+                continue;
+            }
+
+            // Identifiers: keywords, literals, types, function calls
+            const identifier = rest.match(/^[A-Za-z_$][\w$]*[?!]?/);
+            if (identifier) {
+                let word = identifier[0];
+                // Only Ruby allows ? and ! at the end of names
+                if (/[?!]$/.test(word) && !definition.variables) {
+                    word = word.slice(0, -1);
+                }
+                const after = text.substring(i + word.length);
+                let type = null;
+
+                if (definition.keywords && definition.keywords.has(word)) {
+                    type = 'keyword';
+                } else if (definition.literals && definition.literals.has(word)) {
+                    type = 'literal';
+                } else if ((definition.types && definition.types.has(word)) || (definition.capitalizedTypes && /^[A-Z][a-z]/.test(word))) {
+                    type = 'type';
+                } else if (definition.macros && after.startsWith('!')) {
+                    type = 'meta';
+                } else if (/^\s*\(/.test(after)) {
+                    type = 'function';
+                }
+
+                if (type) {
+                    tokens.push({ start: i, end: i + word.length, type });
+                }
+                i += word.length;
+                continue;
+            }
+
+            // Operators
+            const operator = rest.match(/^[+\-*/%=<>!&|^~?:]+/);
+            if (operator) {
+                tokens.push({ start: i, end: i + operator[0].length, type: 'operator' });
+                i += operator[0].length;
+                continue;
+            }
+
+            i++;
+        }
+
+        return { tokens, state: null };
+    },
+
+    /**
+     * Tokenize a line of CSS / SCSS. State tracks open comments and block depth.
+     */
+    tokenizeCss(text, state) {
+        const tokens = [];
+        let depth = state ? state.depth : 0;
+        let i = 0;
+
+        if (state && state.inComment) {
+            const close = text.indexOf('*/');
+            if (close === -1) {
+                tokens.push({ start: 0, end: text.length, type: 'comment' });
+                return { tokens, state };
+            }
+            tokens.push({ start: 0, end: close + 2, type: 'comment' });
+            i = close + 2;
+        }
+
+        while (i < text.length) {
+            const rest = text.substring(i);
+            const char = text[i];
+
+            if (rest.startsWith('/*')) {
+                const close = text.indexOf('*/', i + 2);
+                if (close === -1) {
+                    tokens.push({ start: i, end: text.length, type: 'comment' });
+                    return { tokens, state: { inComment: true, depth } };
+                }
+                tokens.push({ start: i, end: close + 2, type: 'comment' });
+                i = close + 2;
+            } else if (rest.startsWith('//')) {
+                // SCSS line comment
+                tokens.push({ start: i, end: text.length, type: 'comment' });
+                break;
+            } else if (char === '"' || char === "'") {
+                const end = this.findStringEnd(text, i + 1, char, false);
+                const stop = end === -1 ? text.length : end;
+                tokens.push({ start: i, end: stop, type: 'string' });
+                i = stop;
+            } else if (char === '@') {
+                const atRule = rest.match(/^@[\w-]+/);
+                const length = atRule ? atRule[0].length : 1;
+                tokens.push({ start: i, end: i + length, type: 'keyword' });
+                i += length;
+            } else if (char === '$' || (char === '-' && rest.startsWith('--'))) {
+                // SCSS variables and custom properties
+                const variable = rest.match(/^(\$|--)[\w-]+/);
+                const length = variable ? variable[0].length : 1;
+                tokens.push({ start: i, end: i + length, type: 'variable' });
+                i += length;
+            } else if (char === '#' && depth > 0 && /^#[\da-fA-F]{3,8}\b/.test(rest)) {
+                const color = rest.match(/^#[\da-fA-F]{3,8}/)[0];
+                tokens.push({ start: i, end: i + color.length, type: 'number' });
+                i += color.length;
+            } else if (/[\d.]/.test(char) && /^(\d+\.?\d*|\.\d+)/.test(rest)) {
+                const number = rest.match(/^(\d+\.?\d*|\.\d+)(%|[a-zA-Z]+)?/)[0];
+                tokens.push({ start: i, end: i + number.length, type: 'number' });
+                i += number.length;
+            } else if (/[A-Za-z-]/.test(char)) {
+                const word = rest.match(/^[\w-]+/)[0];
+                const after = text.substring(i + word.length);
+                if (depth > 0 && /^\s*:(?!:)/.test(after) && !/^\s*:[\w-]+\s*[{,]/.test(after)) {
+                    tokens.push({ start: i, end: i + word.length, type: 'property' });
+                } else if (depth === 0) {
+                    // Selectors: pseudo-classes, classes and ids, element names
+                    const previous = text[i - 1];
+                    const type = previous === ':' ? 'meta' : (previous === '.' || previous === '#' ? 'attr' : 'tag');
+                    tokens.push({ start: i, end: i + word.length, type });
+                } else if (after.startsWith('(')) {
+                    tokens.push({ start: i, end: i + word.length, type: 'function' });
+                } else if (word === '!important' || word === 'important') {
+                    tokens.push({ start: i, end: i + word.length, type: 'keyword' });
+                }
+                i += word.length;
+            } else {
+                if (char === '{') depth++;
+                if (char === '}') depth = Math.max(0, depth - 1);
+                i++;
+            }
+        }
+
+        return { tokens, state: depth > 0 ? { inComment: false, depth } : null };
+    },
+
+    /**
+     * Tokenize a line of JSON
+     */
+    tokenizeJson(text) {
+        const tokens = [];
+        const pattern = /("(?:[^"\\]|\\.)*"?)(\s*:)?|(-?\d+\.?\d*(?:[eE][+-]?\d+)?)|\b(true|false|null)\b/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[1]) {
+                tokens.push({ start: match.index, end: match.index + match[1].length, type: match[2] ? 'property' : 'string' });
+            } else if (match[3]) {
+                tokens.push({ start: match.index, end: match.index + match[3].length, type: 'number' });
+            } else if (match[4]) {
+                tokens.push({ start: match.index, end: match.index + match[4].length, type: 'literal' });
+            }
+        }
+
+        return { tokens, state: null };
+    },
+
+    /**
+     * Tokenize a line of YAML
+     */
+    tokenizeYaml(text) {
+        const tokens = [];
+        let i = 0;
+
+        // Document markers and keys ("key:", "- key:")
+        const marker = text.match(/^(---|\.\.\.)\s*$/);
+        if (marker) {
+            return { tokens: [{ start: 0, end: marker[1].length, type: 'meta' }], state: null };
+        }
+
+        const key = text.match(/^(\s*(?:-\s+)?)([^\s#'"][^:#]*?|"[^"]*"|'[^']*')\s*:(?=\s|$)/);
+        if (key) {
+            const start = key[1].length;
+            tokens.push({ start, end: start + key[2].length, type: 'property' });
+            i = key[0].length;
+        }
+
+        while (i < text.length) {
+            const rest = text.substring(i);
+            const char = text[i];
+
+            if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                tokens.push({ start: i, end: text.length, type: 'comment' });
+                break;
+            } else if (char === '"' || char === "'") {
+                const end = this.findStringEnd(text, i + 1, char, char === "'");
+                const stop = end === -1 ? text.length : end;
+                tokens.push({ start: i, end: stop, type: 'string' });
+                i = stop;
+            } else if (char === '&' || char === '*' || char === '!') {
+                const anchor = rest.match(/^[&*!][\w!-]*/)[0];
+                tokens.push({ start: i, end: i + anchor.length, type: 'meta' });
+                i += anchor.length;
+            } else if (/\S/.test(char) && (i === 0 || /[\s\[{,]/.test(text[i - 1]))) {
+                const word = rest.match(/^[^\s,\]}#]+/)[0];
+                if (/^(true|false|yes|no|on|off|null|~)$/i.test(word)) {
+                    tokens.push({ start: i, end: i + word.length, type: 'literal' });
+                } else if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(word)) {
+                    tokens.push({ start: i, end: i + word.length, type: 'number' });
+                }
+                i += word.length;
+            } else {
+                i++;
+            }
+        }
+
+        return { tokens, state: null };
+    },
+
+    /**
+     * Tokenize a line of HTML or XML. State tracks comments, CDATA and open tags.
+     */
+    tokenizeMarkup(text, state) {
+        const tokens = [];
+        let i = 0;
+        let inTag = state && state.type === 'tag';
+
+        if (state && (state.type === 'comment' || state.type === 'cdata')) {
+            const close = state.type === 'comment' ? '-->' : ']]>';
+            const end = text.indexOf(close);
+            const tokenType = state.type === 'comment' ? 'comment' : 'string';
+            if (end === -1) {
+                tokens.push({ start: 0, end: text.length, type: tokenType });
+                return { tokens, state };
+            }
+            tokens.push({ start: 0, end: end + close.length, type: tokenType });
+            i = end + close.length;
+        }
+
+        while (i < text.length) {
+            const rest = text.substring(i);
+
+            if (inTag) {
+                const tagEnd = rest.match(/^\/?>|^\?>/);
+                const attribute = rest.match(/^[^\s=>"'\/]+/);
+                if (tagEnd) {
+                    tokens.push({ start: i, end: i + tagEnd[0].length, type: 'tag' });
+                    i += tagEnd[0].length;
+                    inTag = false;
+                } else if (rest[0] === '"' || rest[0] === "'") {
+                    const end = text.indexOf(rest[0], i + 1);
+                    const stop = end === -1 ? text.length : end + 1;
+                    tokens.push({ start: i, end: stop, type: 'string' });
+                    i = stop;
+                } else if (attribute) {
+                    tokens.push({ start: i, end: i + attribute[0].length, type: 'attr' });
+                    i += attribute[0].length;
+                } else {
+                    i++;
+                }
+                continue;
+            }
+
+            if (rest.startsWith('<!--')) {
+                const end = text.indexOf('-->', i + 4);
+                if (end === -1) {
+                    tokens.push({ start: i, end: text.length, type: 'comment' });
+                    return { tokens, state: { type: 'comment' } };
+                }
+                tokens.push({ start: i, end: end + 3, type: 'comment' });
+                i = end + 3;
+            } else if (rest.startsWith('<![CDATA[')) {
+                const end = text.indexOf(']]>', i + 9);
+                if (end === -1) {
+                    tokens.push({ start: i, end: text.length, type: 'string' });
+                    return { tokens, state: { type: 'cdata' } };
+                }
+                tokens.push({ start: i, end: end + 3, type: 'string' });
+                i = end + 3;
+            } else if (/^<[!?]/.test(rest)) {
+                // Doctype and processing instructions
+                const declaration = rest.match(/^<[!?][\w-]*/)[0];
+                tokens.push({ start: i, end: i + declaration.length, type: 'meta' });
+                i += declaration.length;
+                inTag = true;
+            } else if (/^<\/?[A-Za-z]/.test(rest)) {
+                const tag = rest.match(/^<\/?[\w:.-]+/)[0];
+                tokens.push({ start: i, end: i + tag.length, type: 'tag' });
+                i += tag.length;
+                inTag = true;
+            } else if (rest[0] === '&') {
+                const entity = rest.match(/^&[#\w]+;/);
+                const length = entity ? entity[0].length : 1;
+                if (entity) {
+                    tokens.push({ start: i, end: i + length, type: 'literal' });
+                }
+                i += length;
+            } else {
+                i++;
+            }
+        }
+
+        return { tokens, state: inTag ? { type: 'tag' } : null };
+    },
+
+    /**
+     * Tokenize a line of Markdown. State tracks fenced code blocks.
+     */
+    tokenizeMarkdown(text, state) {
+        const fence = text.match(/^\s*(```|~~~)/);
+
+        if (state && state.type === 'fence') {
+            const closes = fence && fence[1] === state.marker;
+            return { tokens: [{ start: 0, end: text.length, type: 'string' }], state: closes ? null : state };
+        }
+        if (fence) {
+            return { tokens: [{ start: 0, end: text.length, type: 'meta' }], state: { type: 'fence', marker: fence[1] } };
+        }
+
+        const heading = text.match(/^\s{0,3}#{1,6}\s.*$/);
+        if (heading) {
+            return { tokens: [{ start: 0, end: text.length, type: 'keyword' }], state: null };
+        }
+
+        const tokens = [];
+        const pattern = /(`+)[^`]*?\1|\[[^\]]*\]\([^)]*\)|(\*\*|__)[^*_]+\2|(^\s*(?:[-*+]|\d+\.)\s)|^\s*>/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            let type = 'keyword';
+            if (match[1]) type = 'string';
+            else if (match[0].startsWith('[')) type = 'function';
+            else if (match[3] || match[0].trim() === '>') type = 'operator';
+            tokens.push({ start: match.index, end: match.index + match[0].length, type });
+        }
+
+        return { tokens, state: null };
+    }
+};
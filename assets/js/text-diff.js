@@ -0,0 +1,145 @@
+/**
+ * Text Diff Module - Computes unified diffs of plain texts in the browser, for comparing
+ * files that are not in a repository. The output is git-style diff text, so it goes
+ * through the same parser and views as a pasted diff.
+ */
+window.TextDiff = {
+    contextLines: 3,
+
+    /**
+     * Create the diff of one file
+     * @param {string|null} oldText - Original content, null if the file is new
+     * @param {string|null} newText - Modified content, null if the file was deleted
+     * @param {Object} options - { oldPath, newPath, algorithm: 'myers'|'patience', context,
+     *                            similarity: percentage when the file was renamed,
+     *                            binary: true to only say that the contents differ,
+     *                            tooLarge: true to say the files are too large to diff }
+     * @returns {string} Diff text, empty when the contents and path are the same
+     */
+    createFilePatch(oldText, newText, options = {}) {
+        const oldPath = options.oldPath || options.newPath || 'file';
+        const newPath = options.newPath || oldPath;
+        const context = options.context !== undefined ? options.context : this.contextLines;
+
+        const isRename = options.similarity !== undefined && oldPath !== newPath;
+
+        const omitted = options.binary || options.tooLarge;
+        const oldLines = omitted ? [] : this.splitText(oldText || '');
+        const newLines = omitted ? [] : this.splitText(newText || '');
+        const ops = options.algorithm === 'patience'
+            ? window.DiffAlgorithm.patienceDiff(oldLines, newLines)
+            : window.DiffAlgorithm.diff(oldLines, newLines);
+
+        const hunks = this.buildHunks(ops, context);
+        if (hunks.length === 0 && !omitted && !isRename && oldText !== null && newText !== null) {
+            return '';
+        }
+
+        const quote = path => window.DiffParser.quotePath(path);
+        let patch = `diff --git ${quote('a/' + oldPath)} ${quote('b/' + newPath)}\n`;
+        if (oldText === null) {
+            patch += 'new file mode 100644\n';
+        } else if (newText === null) {
+            patch += 'deleted file mode 100644\n';
+        } else if (isRename) {
+            patch += `similarity index ${options.similarity}%\n`;
+            patch += `rename from ${quote(oldPath)}\nrename to ${quote(newPath)}\n`;
+        }
+
+        if (omitted) {
+            const from = oldText === null ? '/dev/null' : quote('a/' + oldPath);
+            const to = newText === null ? '/dev/null' : quote('b/' + newPath);
+            patch += options.binary
+                ? `Binary files ${from} and ${to} differ\n`
+                : `Files ${from} and ${to} are too large to diff\n`;
+        } else if (hunks.length > 0) {
+            patch += `--- ${oldText === null ? '/dev/null' : quote('a/' + oldPath)}\n`;
+            patch += `+++ ${newText === null ? '/dev/null' : quote('b/' + newPath)}\n`;
+            hunks.forEach(hunk => {
+                patch += this.formatHunk(hunk, oldLines, newLines);
+            });
+        }
+
+        return patch;
+    },
+
+    /**
+     * Split text into lines, keeping '\n' on every line that has one, so that a last
+     * line without a newline differs from the same line with one, as in git
+     * @param {string} text - Text to split
+     * @returns {Array} Lines
+     */
+    splitText(text) {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    },
+
+    /**
+     * Group edit operations into hunks with surrounding context, merging changes that
+     * are close enough for their context to touch
+     * @param {Array} ops - Operations from DiffAlgorithm
+     * @param {number} context - Unchanged lines to show around changes
+     * @returns {Array} { ops, oldBefore, newBefore } per hunk, with the number of old
+     *                  and new lines that precede it
+     */
+    buildHunks(ops, context) {
+        const ranges = [];
+        let current = null;
+        let lastChange = -1;
+
+        ops.forEach((op, index) => {
+            if (op.type === 'equal') return;
+
+            if (current && index - lastChange - 1 <= context * 2) {
+                current.end = index;
+            } else {
+                current = { start: Math.max(index - context, lastChange + 1), end: index };
+                ranges.push(current);
+            }
+            lastChange = index;
+        });
+
+        let oldBefore = 0;
+        let newBefore = 0;
+        let position = 0;
+        return ranges.map(({ start, end }) => {
+            for (; position < start; position++) {
+                if (ops[position].type !== 'insert') oldBefore++;
+                if (ops[position].type !== 'delete') newBefore++;
+            }
+            return { ops: ops.slice(start, Math.min(end + context + 1, ops.length)), oldBefore, newBefore };
+        });
+    },
+
+    /**
+     * Format a hunk as unified diff text
+     * @param {Object} hunk - Hunk from buildHunks
+     * @param {Array} oldLines - Original lines
+     * @param {Array} newLines - Modified lines
+     * @returns {string} Hunk header and lines
+     */
+    formatHunk(hunk, oldLines, newLines) {
+        const oldCount = hunk.ops.filter(op => op.type !== 'insert').length;
+        const newCount = hunk.ops.filter(op => op.type !== 'delete').length;
+        // An empty range is numbered by the line before it
+        const oldStart = oldCount > 0 ? hunk.oldBefore + 1 : hunk.oldBefore;
+        const newStart = newCount > 0 ? hunk.newBefore + 1 : hunk.newBefore;
+
+        let text = `@@ -${this.formatRange(oldStart, oldCount)} +${this.formatRange(newStart, newCount)} @@\n`;
+        hunk.ops.forEach(op => {
+            const line = op.type === 'insert' ? newLines[op.newIndex] : oldLines[op.oldIndex];
+            const marker = { equal: ' ', delete: '-', insert: '+' }[op.type];
+            text += marker + line;
+            if (!line.endsWith('\n')) {
+                text += '\n\\ No newline at end of file\n';
+            }
+        });
+        return text;
+    },
+
+    /**
+     * Format a hunk range, leaving out a count of 1 as git does
+     */
+    formatRange(start, count) {
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+};
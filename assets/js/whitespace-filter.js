@@ -0,0 +1,136 @@
+/**
+ * Whitespace Filter Module - Hides whitespace-only changes in parsed hunks, like git's
+ * -w (--ignore-all-space), -b (--ignore-space-change) and --ignore-blank-lines
+ *
+ * Removed and added lines that match once whitespace is normalized become unchanged
+ * lines, numbered on both sides. Hunks left without a significant change are dropped.
+ */
+window.WhitespaceFilter = {
+    /**
+     * Whether options change anything
+     * @param {Object} options - { mode: 'none'|'all'|'amount', ignoreBlankLines }
+     */
+    isActive(options) {
+        return options.mode === 'all' || options.mode === 'amount' || !!options.ignoreBlankLines;
+    },
+
+    /**
+     * Normalize line content for comparison
+     * @param {string} content - Line content
+     * @param {string} mode - 'all' drops all whitespace, 'amount' treats any run of
+     *                        whitespace as one space and ignores it at the end of the line
+     * @returns {string} Normalized content
+     */
+    normalize(content, mode) {
+        if (mode === 'all') {
+            return content.replace(/\s+/g, '');
+        }
+        if (mode === 'amount') {
+            return content.replace(/\s+/g, ' ').replace(/ $/, '');
+        }
+        return content;
+    },
+
+    /**
+     * Filter the hunks of a file
+     * @param {Array} hunks - Hunks as parsed
+     * @param {Object} options - { mode, ignoreBlankLines }
+     * @returns {Array} Hunks to display; the same array when options are inactive
+     */
+    filterHunks(hunks, options) {
+        if (!this.isActive(options)) {
+            return hunks;
+        }
+        return hunks.map(hunk => this.filterHunk(hunk, options)).filter(Boolean);
+    },
+
+    /**
+     * Filter one hunk
+     * @param {Object} hunk - Parsed hunk
+     * @param {Object} options - { mode, ignoreBlankLines }
+     * @returns {Object|null} Hunk with whitespace-only pairs as unchanged lines, or null
+     *                        when it has no significant change left
+     */
+    filterHunk(hunk, options) {
+        const lines = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            lines.push(...this.matchChangedLines(removed, added, options.mode));
+            removed = [];
+            added = [];
+        };
+
+        hunk.lines.forEach(line => {
+            if (line.type === 'removed') {
+                removed.push(line);
+            } else if (line.type === 'added') {
+                added.push(line);
+            } else {
+                flush();
+                lines.push(line);
+            }
+        });
+        flush();
+
+        const significant = lines.some(line =>
+            (line.type === 'added' || line.type === 'removed') &&
+            !(options.ignoreBlankLines && line.content.trim() === ''));
+        if (!significant) {
+            return null;
+        }
+
+        return lines.length === hunk.lines.length && lines.every((line, index) => line === hunk.lines[index])
+            ? hunk
+            : { ...hunk, lines };
+    },
+
+    /**
+     * Pair up a block of removed and added lines that match after normalization
+     * @param {Array} removed - Consecutive removed lines
+     * @param {Array} added - Added lines that follow them
+     * @param {string} mode - 'none', 'all' or 'amount'
+     * @returns {Array} Lines in display order: unchanged pairs, with the remaining removed
+     *                  lines before added ones between them
+     */
+    matchChangedLines(removed, added, mode) {
+        if ((mode !== 'all' && mode !== 'amount') || removed.length === 0 || added.length === 0) {
+            return removed.concat(added);
+        }
+
+        const result = [];
+        let pendingRemoved = [];
+        let pendingAdded = [];
+        const ops = window.DiffAlgorithm.diff(
+            removed.map(line => this.normalize(line.content, mode)),
+            added.map(line => this.normalize(line.content, mode))
+        );
+
+        ops.forEach(op => {
+            if (op.type === 'delete') {
+                pendingRemoved.push(removed[op.oldIndex]);
+            } else if (op.type === 'insert') {
+                pendingAdded.push(added[op.newIndex]);
+            } else {
+                result.push(...pendingRemoved, ...pendingAdded);
+                pendingRemoved = [];
+                pendingAdded = [];
+
+                // Shown as the new version, at both its old and new position
+                const oldLine = removed[op.oldIndex];
+                const newLine = added[op.newIndex];
+                result.push({
+                    type: 'unchanged',
+                    content: newLine.content,
+                    oldLineNumber: oldLine.oldLineNumber,
+                    newLineNumber: newLine.newLineNumber,
+                    noNewlineAtEnd: newLine.noNewlineAtEnd
+                });
+            }
+        });
+        result.push(...pendingRemoved, ...pendingAdded);
+
+        return result;
+    }
+};